@@ -41,7 +41,7 @@ export default function(stream) {
     stream.onblob = function(data) {
 
         // Convert to ArrayBuffer
-        var binary = window.atob(data);
+        var binary = atob(data);
         var arrayBuffer = new ArrayBuffer(binary.length);
         var bufferView = new Uint8Array(arrayBuffer);
 
@@ -58,7 +58,7 @@ export default function(stream) {
             binary += String.fromCharCode(bytes[i]);
 
         // Send as base64
-        stream.sendBlob(window.btoa(binary));
+        stream.sendBlob(btoa(binary));
 
     }
 
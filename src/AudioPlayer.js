@@ -617,8 +617,9 @@ RawAudioPlayer._Format.parse = function parseFormat(mimetype) {
  */
 RawAudioPlayer.isSupportedType = function isSupportedType(mimetype) {
 
-    // No supported types if no Web Audio API
-    if (!window.AudioContext && !window.webkitAudioContext)
+    // No supported types if no Web Audio API (or no window at all)
+    if (typeof window === "undefined"
+            || (!window.AudioContext && !window.webkitAudioContext))
         return false;
 
     return RawAudioPlayer._Format.parse(mimetype) !== null;
@@ -640,8 +641,9 @@ RawAudioPlayer.isSupportedType = function isSupportedType(mimetype) {
  */
 RawAudioPlayer.getSupportedTypes = function getSupportedTypes() {
 
-    // No supported types if no Web Audio API
-    if (!window.AudioContext && !window.webkitAudioContext)
+    // No supported types if no Web Audio API (or no window at all)
+    if (typeof window === "undefined"
+            || (!window.AudioContext && !window.webkitAudioContext))
         return [];
 
     // We support 8-bit and 16-bit raw PCM
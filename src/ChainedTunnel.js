@@ -21,13 +21,18 @@
  */
 
 import Tunnel from './Tunnel.js'
+import Status from './Status.js'
 
 /**
  * Guacamole Tunnel which cycles between all specified tunnels until
  * no tunnels are left. Another tunnel is used if an error occurs but
  * no instructions have been received. If an instruction has been
  * received, or no tunnels remain, the error is passed directly out
- * through the onerror handler (if defined).
+ * through the onerror handler (if defined). If raceDelay is set, tunnels are
+ * instead started in parallel, and the first to deliver an instruction is
+ * used. A tunnel which fails after being used is transparently replaced by
+ * another tunnel of the chain, connected with the same data, or with the
+ * data returned by the onfailover handler if defined.
  *
  * @constructor
  * @augments Tunnel
@@ -65,10 +70,373 @@ export default function ChainedTunnel(tunnelChain) {
      */
     var committedTunnel = null;
 
+    /**
+     * Every tunnel passed to this ChainedTunnel, in order of priority,
+     * regardless of whether that tunnel has been tried.
+     *
+     * @private
+     * @type {Tunnel[]}
+     */
+    var chain = [];
+
+    /**
+     * The ID of the connection established through the committed tunnel, as
+     * provided by the server through the "ready" instruction, or null if no
+     * such ID has been received.
+     *
+     * @private
+     * @type {String}
+     */
+    var connection_id = null;
+
+    /**
+     * Whether this tunnel has been intentionally disconnected since connect()
+     * was last invoked, in which case the closure of the committed tunnel is
+     * not a failure.
+     *
+     * @private
+     * @type {Boolean}
+     */
+    var disconnected = false;
+
     // Load all tunnels into array
     for (var i=0; i<arguments.length; i++)
         tunnels.push(arguments[i]);
 
+    chain = tunnels.slice();
+
+    /**
+     * Passes the given instruction out through the oninstruction handler,
+     * noting the connection ID if the instruction is a "ready" instruction.
+     *
+     * @private
+     * @param {String} opcode The opcode of the instruction.
+     * @param {String[]} elements The arguments of the instruction.
+     */
+    function instruction_received(opcode, elements) {
+
+        if (opcode === "ready")
+            connection_id = elements[0];
+
+        chained_tunnel.dispatchEvent("instruction", opcode, elements);
+
+    }
+
+    /**
+     * Changes the state of this tunnel, firing the onstatechange event.
+     *
+     * @private
+     * @param {Number} state The new state of this tunnel.
+     */
+    function set_state(state) {
+        chained_tunnel.state = state;
+        chained_tunnel.dispatchEvent("statechange", state);
+    }
+
+    /**
+     * Removes all handlers which this ChainedTunnel has assigned to the given
+     * tunnel, such that its future events are ignored.
+     *
+     * @private
+     * @param {Tunnel} tunnel The tunnel to detach from.
+     */
+    function detach(tunnel) {
+        tunnel.onstatechange = tunnel.oninstruction =
+        tunnel.onerror = tunnel.onuuid = tunnel.onroundtrip = null;
+    }
+
+    /**
+     * Returns whether the failure of the committed tunnel should result in
+     * failover to another tunnel. Failover is possible only if the chain
+     * contains other tunnels and this tunnel has not been intentionally
+     * disconnected.
+     *
+     * @private
+     * @return {Boolean} true if failover is possible, false otherwise.
+     */
+    function can_failover() {
+        return !disconnected && chain.length > 1;
+    }
+
+    /**
+     * Replaces the given committed tunnel, which has failed mid-session, with
+     * the next tunnel of the chain which can be connected, in order of
+     * priority starting after the failed tunnel. Each tunnel is connected
+     * using the data originally passed to connect(), unless the onfailover
+     * handler returns other data, such as data which rejoins the same
+     * connection. The chained tunnel itself remains open
+     * throughout. If every other tunnel also fails, the original failure is
+     * passed out through the onerror handler.
+     *
+     * @private
+     * @param {Tunnel} failed The committed tunnel which failed.
+     * @param {Status} status The status describing the failure.
+     */
+    function failover(failed, status) {
+
+        var index = chain.indexOf(failed);
+        var candidates = chain.slice(index + 1).concat(chain.slice(0, index));
+
+        committedTunnel = null;
+        detach(failed);
+
+        /**
+         * Attempts to connect the next candidate tunnel.
+         *
+         * @private
+         */
+        function try_next() {
+
+            var tunnel = candidates.shift();
+
+            // Give up once no tunnels remain
+            if (!tunnel) {
+                chained_tunnel.dispatchEvent("error", status);
+                set_state(Tunnel.State.CLOSED);
+                return;
+            }
+
+            // Use this tunnel once it opens or delivers an instruction
+            tunnel.onstatechange = function(state) {
+
+                if (state === Tunnel.State.OPEN)
+                    commit_tunnel(tunnel);
+
+                else if (state === Tunnel.State.CLOSED) {
+                    detach(tunnel);
+                    try_next();
+                }
+
+            };
+
+            tunnel.oninstruction = function(opcode, elements) {
+                commit_tunnel(tunnel);
+                instruction_received(opcode, elements);
+            };
+
+            tunnel.onerror = null;
+            tunnel.onuuid = null;
+
+            // Abandon failover if disconnected in the meantime
+            chained_tunnel.disconnect = function() {
+                disconnected = true;
+                detach(tunnel);
+                tunnel.disconnect();
+                set_state(Tunnel.State.CLOSED);
+            };
+
+            // Nothing can be sent until a tunnel has been connected
+            chained_tunnel.sendMessage = function() {};
+
+            // Allow the application to provide data which rejoins the
+            // connection, falling back to the original data
+            var data = chained_tunnel.dispatchEvent("failover", status, connection_id);
+            tunnel.connect(data !== undefined ? data : connect_data);
+
+        }
+
+        try_next();
+
+    }
+
+    /**
+     * Use the given tunnel from this point forward. Do not try any more
+     * tunnels as alternatives, though another tunnel of the chain will
+     * replace the given tunnel if it fails later.
+     *
+     * @private
+     * @param {Tunnel} tunnel The tunnel to commit to.
+     */
+    function commit_tunnel(tunnel) {
+
+        // The failure of the committed tunnel, if any
+        var failure = null;
+
+        // Set own functions to tunnel's functions, noting intentional
+        // disconnection such that it is not treated as failure
+        chained_tunnel.disconnect = function() {
+            disconnected = true;
+            tunnel.disconnect();
+        };
+        chained_tunnel.sendMessage = tunnel.sendMessage;
+
+        // Reflect the state of the committed tunnel, which may not yet have
+        // reported that it is open if it has already delivered an instruction
+        chained_tunnel.state = tunnel.state;
+
+        // Forward all further events to the chained tunnel, failing over to
+        // another tunnel if the committed tunnel fails and failover is
+        // possible
+        tunnel.onstatechange = function(state) {
+
+            if (state === Tunnel.State.CLOSED && failure) {
+
+                if (can_failover()) {
+                    failover(tunnel, failure);
+                    return;
+                }
+
+                chained_tunnel.dispatchEvent("error", failure);
+
+            }
+
+            set_state(state);
+
+        };
+        tunnel.oninstruction = function(opcode, elements) {
+            instruction_received(opcode, elements);
+        };
+        tunnel.onerror = function(status) {
+
+            // Hold the error until the tunnel closes if failover may hide it
+            if (can_failover())
+                failure = status;
+            else
+                chained_tunnel.dispatchEvent("error", status);
+
+        };
+        tunnel.onuuid = function(uuid) {
+            chained_tunnel.setUUID(uuid);
+        };
+        tunnel.onroundtrip = function(roundTripTime) {
+            chained_tunnel.setRoundTripTime(roundTripTime);
+        };
+
+        // Adopt any UUID received before committing
+        if (tunnel.uuid !== null && tunnel.uuid !== chained_tunnel.uuid)
+            chained_tunnel.setUUID(tunnel.uuid);
+
+        committedTunnel = tunnel;
+
+    }
+
+    /**
+     * Starts all remaining tunnels in parallel, in order of priority, each
+     * after the race delay has elapsed since the previous tunnel was started
+     * or as soon as all previously-started tunnels have failed, whichever
+     * happens first. The first tunnel to deliver an instruction is committed
+     * and all other tunnels are closed. If every tunnel fails, the failure of
+     * the last tunnel to fail is passed out through the onerror handler.
+     *
+     * @private
+     */
+    function race() {
+
+        // Tunnels not yet started, in order of priority
+        var candidates = tunnels;
+        tunnels = [];
+
+        // Tunnels started which have not yet failed
+        var started = [];
+
+        // The timeout which will start the next tunnel, if any
+        var start_timeout = null;
+
+        // The status of the most recent failure, if any
+        var last_status = null;
+
+        /**
+         * Stops the race, closing every started tunnel other than the given
+         * tunnel and starting no further tunnels.
+         *
+         * @private
+         * @param {Tunnel} [winner]
+         *     The tunnel which won the race and should remain open, if any.
+         */
+        function end_race(winner) {
+
+            clearTimeout(start_timeout);
+            candidates = [];
+
+            var losers = started;
+            started = [];
+
+            for (var i = 0; i < losers.length; i++) {
+
+                var loser = losers[i];
+                if (loser === winner)
+                    continue;
+
+                // Ignore the closure of each loser
+                detach(loser);
+
+                loser.disconnect();
+
+            }
+
+        }
+
+        /**
+         * Starts the next tunnel, if any remain, scheduling the start of the
+         * tunnel after it.
+         *
+         * @private
+         */
+        function start_next() {
+
+            clearTimeout(start_timeout);
+
+            var tunnel = candidates.shift();
+            if (!tunnel)
+                return;
+
+            started.push(tunnel);
+
+            // Commit to whichever tunnel first delivers an instruction
+            tunnel.oninstruction = function(opcode, elements) {
+                end_race(tunnel);
+                commit_tunnel(tunnel);
+                set_state(Tunnel.State.OPEN);
+                instruction_received(opcode, elements);
+            };
+
+            tunnel.onerror = function(status) {
+                last_status = status;
+            };
+
+            // On failure, start the next tunnel without further delay
+            tunnel.onstatechange = function(state) {
+
+                if (state !== Tunnel.State.CLOSED)
+                    return;
+
+                tunnel.onstatechange = tunnel.oninstruction = tunnel.onerror = null;
+                started.splice(started.indexOf(tunnel), 1);
+
+                if (candidates.length)
+                    start_next();
+
+                // Fail only once every tunnel has failed
+                else if (!started.length) {
+                    if (last_status)
+                        chained_tunnel.dispatchEvent("error", last_status);
+                    set_state(Tunnel.State.CLOSED);
+                }
+
+            };
+
+            // Schedule the next tunnel before connecting, as the connection
+            // attempt may fail immediately
+            if (candidates.length)
+                start_timeout = setTimeout(start_next, chained_tunnel.raceDelay);
+
+            tunnel.connect(connect_data);
+
+        }
+
+        // Abandon the race if disconnected before any tunnel wins
+        chained_tunnel.disconnect = function() {
+            end_race(null);
+            set_state(Tunnel.State.CLOSED);
+        };
+
+        // Nothing can be sent until a tunnel has won
+        chained_tunnel.sendMessage = function() {};
+
+        start_next();
+
+    }
+
     /**
      * Sets the current tunnel.
      *
@@ -117,19 +485,6 @@ export default function ChainedTunnel(tunnelChain) {
 
         };
 
-        /**
-         * Use the current tunnel from this point forward. Do not try any more
-         * tunnels, even if the current tunnel fails.
-         *
-         * @private
-         */
-        function commit_tunnel() {
-            tunnel.onstatechange = chained_tunnel.onstatechange;
-            tunnel.oninstruction = chained_tunnel.oninstruction;
-            tunnel.onerror = chained_tunnel.onerror;
-            committedTunnel = tunnel;
-        }
-
         // Wrap own onstatechange within current tunnel
         tunnel.onstatechange = function(state) {
 
@@ -137,30 +492,33 @@ export default function ChainedTunnel(tunnelChain) {
 
                 // If open, use this tunnel from this point forward.
                 case Tunnel.State.OPEN:
-                    commit_tunnel();
-                    if (chained_tunnel.onstatechange)
-                        chained_tunnel.onstatechange(state);
+                    commit_tunnel(tunnel);
+                    set_state(state);
                     break;
 
                 // If closed, mark failure, attempt next tunnel
                 case Tunnel.State.CLOSED:
-                    if (!failTunnel() && chained_tunnel.onstatechange)
-                        chained_tunnel.onstatechange(state);
+                    if (!failTunnel())
+                        set_state(state);
                     break;
 
             }
 
         };
 
+        // Adopt the UUID of whichever tunnel receives one
+        tunnel.onuuid = function(uuid) {
+            chained_tunnel.setUUID(uuid);
+        };
+
         // Wrap own oninstruction within current tunnel
         tunnel.oninstruction = function(opcode, elements) {
 
             // Accept current tunnel
-            commit_tunnel();
+            commit_tunnel(tunnel);
 
             // Invoke handler
-            if (chained_tunnel.oninstruction)
-                chained_tunnel.oninstruction(opcode, elements);
+            instruction_received(opcode, elements);
 
         };
 
@@ -168,8 +526,8 @@ export default function ChainedTunnel(tunnelChain) {
         tunnel.onerror = function(status) {
 
             // Mark failure, attempt next tunnel
-            if (!failTunnel(status) && chained_tunnel.onerror)
-                chained_tunnel.onerror(status);
+            if (!failTunnel(status))
+                chained_tunnel.dispatchEvent("error", status);
 
         };
 
@@ -178,10 +536,64 @@ export default function ChainedTunnel(tunnelChain) {
 
     }
 
+    /**
+     * The number of milliseconds to wait after starting each tunnel before
+     * also starting the next, or null to try each tunnel only after the
+     * previous tunnel has failed. If non-null, tunnels are raced ("happy
+     * eyeballs"): they are started in order of priority, with later tunnels
+     * started early if the earlier tunnels are slow to respond. The first
+     * tunnel to deliver an instruction is used, and all others are closed.
+     *
+     * As every started tunnel is connected with the same data, and is only
+     * closed once another tunnel has delivered an instruction, racing may
+     * cause the server to begin several connections in parallel, all but one
+     * of which are closed shortly after. Racing should only be used with
+     * servers for which this is acceptable, such as servers which only
+     * establish the remote desktop connection once the client has completed
+     * the handshake.
+     *
+     * @type {Number}
+     */
+    this.raceDelay = null;
+
+    /**
+     * Fired when the committed tunnel fails mid-session and another tunnel
+     * of the chain is about to be connected in its place, once for each
+     * tunnel tried. Failover occurs whether or not this event is handled;
+     * handling this event allows the data passed to the replacement tunnel
+     * to be overridden, typically such that it identifies the existing
+     * connection so that it can be rejoined.
+     *
+     * @event
+     * @param {Status} status
+     *     The status describing the failure of the committed tunnel.
+     *
+     * @param {String} connectionID
+     *     The ID of the connection being rejoined, as provided by the server
+     *     through the "ready" instruction, or null if no such ID was
+     *     received.
+     *
+     * @return {String}
+     *     The data to pass to connect() of the replacement tunnel. If
+     *     nothing is returned, the data originally passed to connect() is
+     *     used.
+     */
+    this.onfailover = null;
+
     this.connect = function(data) {
 
         // Remember connect data
         connect_data = data;
+        connection_id = null;
+        disconnected = false;
+        chained_tunnel.state = Tunnel.State.CONNECTING;
+        chained_tunnel.roundTripTime = null;
+
+        // Race all tunnels if requested and not yet committed
+        if (!committedTunnel && chained_tunnel.raceDelay !== null && tunnels.length) {
+            race();
+            return;
+        }
 
         // Get committed tunnel if exists or the first tunnel on the list
         var next_tunnel = committedTunnel ? committedTunnel : tunnels.shift();
@@ -191,8 +603,10 @@ export default function ChainedTunnel(tunnelChain) {
             attach(next_tunnel);
 
         // If there IS no first tunnel, error
-        else if (chained_tunnel.onerror)
-            chained_tunnel.onerror(Status.Code.SERVER_ERROR, "No tunnels to try.");
+        else {
+            chained_tunnel.dispatchEvent("error", new Status(Status.Code.SERVER_ERROR, "No tunnels to try."));
+            set_state(Tunnel.State.CLOSED);
+        }
 
     };
 
@@ -21,6 +21,7 @@
  */
 
 import Display from './Display.js'
+import Layer from './Layer.js'
 import IntegerPool from './IntegerPool.js'
 import StringWriter from './StringWriter.js'
 import OutputStream from './OutputStream.js'
@@ -30,7 +31,9 @@ import InputStream from './InputStream.js'
 import DataURIReader from './DataURIReader.js'
 import GObject from './Object.js'
 import Status from './Status.js'
+import Tunnel from './Tunnel.js'
 import AudioPlayer from './AudioPlayer.js'
+import EventDispatcher from './EventDispatcher.js'
 
 /**
  * Guacamole protocol client. Given a {@link Tunnel},
@@ -40,23 +43,121 @@ import AudioPlayer from './AudioPlayer.js'
  * @constructor
  * @param {Tunnel} tunnel The tunnel to use to send and receive
  *                                  Guacamole instructions.
+ * @param {Display|HeadlessDisplay} [display]
+ *     The display to update as instructions are received. If omitted, a new
+ *     Display is created. A {@link HeadlessDisplay} may be provided to run
+ *     without a DOM, such as under Node.js.
  */
-export default function Client(tunnel) {
+export default function Client(tunnel, display) {
 
     var guac_client = this;
 
-    var STATE_IDLE          = 0;
-    var STATE_CONNECTING    = 1;
-    var STATE_WAITING       = 2;
-    var STATE_CONNECTED     = 3;
-    var STATE_DISCONNECTING = 4;
-    var STATE_DISCONNECTED  = 5;
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
 
-    var currentState = STATE_IDLE;
+    var currentState = Client.State.IDLE;
 
     var currentTimestamp = 0;
     var pingInterval = null;
 
+    /**
+     * The functions which settle the Promise returned by the connection
+     * attempt currently in progress, or null if no connection attempt is in
+     * progress.
+     *
+     * @private
+     * @type {Object}
+     */
+    var pendingConnection = null;
+
+    /**
+     * Function which removes the listeners added to the tunnel by this
+     * Client while connected, or null if no such listeners are present.
+     *
+     * @private
+     * @type {function}
+     */
+    var stopObservingTunnel = null;
+
+    /**
+     * The most recent error reported by the tunnel since it last closed, if
+     * any.
+     *
+     * @private
+     * @type {Status}
+     */
+    var tunnelError = null;
+
+    /**
+     * The arbitrary data most recently passed to connect().
+     *
+     * @private
+     */
+    var connectData;
+
+    /**
+     * The ID of the connection on the remote server, as provided by the
+     * "ready" instruction, or null if no such ID has been received.
+     *
+     * @private
+     * @type {String}
+     */
+    var connectionID = null;
+
+    /**
+     * The number of milliseconds after the local user last moved the mouse
+     * during which mouse positions received from the server will not move
+     * the local cursor, as the local user is considered to be driving it.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var LOCAL_MOUSE_TIMEOUT = 1000;
+
+    /**
+     * The time at which the local user last sent a mouse event, in
+     * milliseconds since the epoch.
+     *
+     * @private
+     * @type {Number}
+     */
+    var lastLocalMouse = 0;
+
+    /**
+     * The width and height most recently passed to sendSize(), if any.
+     *
+     * @private
+     * @type {Object}
+     */
+    var lastSize = null;
+
+    /**
+     * Whether this Client is currently attempting to reconnect after the
+     * tunnel was lost.
+     *
+     * @private
+     * @type {Boolean}
+     */
+    var reconnecting = false;
+
+    /**
+     * The number of reconnection attempts made since the tunnel was lost.
+     *
+     * @private
+     * @type {Number}
+     */
+    var reconnectAttempts = 0;
+
+    /**
+     * The ID of the timeout which will start the next reconnection attempt,
+     * if any.
+     *
+     * @private
+     * @type {Number}
+     */
+    var reconnectTimeout = null;
+
     /**
      * Translation from Guacamole protocol line caps to Layer line caps.
      * @private
@@ -81,9 +182,9 @@ export default function Client(tunnel) {
      * The underlying Guacamole display.
      *
      * @private
-     * @type {Display}
+     * @type {Display|HeadlessDisplay}
      */
-    var display = new Display();
+    display = display || new Display();
 
     /**
      * All available layers and buffers
@@ -132,17 +233,362 @@ export default function Client(tunnel) {
     // Array of allocated output streams by index
     var output_streams = [];
 
+    /**
+     * The most recently calculated connection statistics.
+     *
+     * @private
+     * @type {Client.Statistics}
+     */
+    var statistics = new Client.Statistics();
+
+    /**
+     * The ID of the timeout which will next recalculate the connection
+     * statistics, if any.
+     *
+     * @private
+     * @type {Number}
+     */
+    var statisticsTimeout = null;
+
+    /**
+     * The time at which the current statistics measurement period began, in
+     * milliseconds since the epoch.
+     *
+     * @private
+     * @type {Number}
+     */
+    var statisticsStart = 0;
+
+    /**
+     * The approximate number of characters of protocol data received during
+     * the current statistics measurement period.
+     *
+     * @private
+     * @type {Number}
+     */
+    var receivedCharacters = 0;
+
+    /**
+     * The number of instructions received during the current statistics
+     * measurement period.
+     *
+     * @private
+     * @type {Number}
+     */
+    var receivedInstructions = 0;
+
+    /**
+     * The number of frames rendered during the current statistics
+     * measurement period.
+     *
+     * @private
+     * @type {Number}
+     */
+    var renderedFrames = 0;
+
+    /**
+     * The total number of milliseconds between the receipt of each "sync"
+     * instruction and the rendering of its frame during the current
+     * statistics measurement period.
+     *
+     * @private
+     * @type {Number}
+     */
+    var renderTimeTotal = 0;
+
+    /**
+     * All registered instruction interceptors, in order of registration. Each
+     * entry has an "opcode" property, which is null if the interceptor
+     * applies to all instructions, and a "hook" property containing the
+     * interceptor function itself.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    var instructionInterceptors = [];
+
+    /**
+     * All registered instruction observers, in order of registration, stored
+     * in the same format as instructionInterceptors.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    var instructionObservers = [];
+
+    /**
+     * Handlers added with setInstructionHandler(), indexed by opcode. These
+     * handlers take precedence over the built-in instruction handlers.
+     *
+     * @private
+     * @type {Object.<String, function>}
+     */
+    var customInstructionHandlers = {};
+
+    /**
+     * All instructions received since recording was started, each encoded
+     * in the Guacamole protocol format, or null if recording is not in
+     * progress.
+     *
+     * @private
+     * @type {String[]}
+     */
+    var recordedInstructions = null;
+
     function setState(state) {
         if (state != currentState) {
+
             currentState = state;
-            if (guac_client.onstatechange)
-                guac_client.onstatechange(currentState);
+            guac_client.dispatchEvent("statechange", currentState);
+
+            // Settle any pending connection or reconnection attempt
+            if (state === Client.State.CONNECTED) {
+                settleConnection(null);
+                if (reconnecting)
+                    completeReconnect();
+            }
+
+            // Disconnecting intentionally is not a failure to connect
+            else if (state === Client.State.DISCONNECTED)
+                abandonConnection();
+
+        }
+    }
+
+    /**
+     * Settles the Promise returned by the connection attempt currently in
+     * progress, if any, resolving it if no status is given and rejecting it
+     * with the given status otherwise.
+     *
+     * @private
+     * @param {Status} status
+     *     The status with which the connection attempt failed, or null if
+     *     the connection attempt succeeded.
+     */
+    function settleConnection(status) {
+
+        var connection = pendingConnection;
+        if (!connection)
+            return;
+
+        pendingConnection = null;
+
+        if (status)
+            connection.reject(status);
+        else
+            connection.resolve();
+
+    }
+
+    /**
+     * Abandons the connection attempt currently in progress, if any, such
+     * that the Promise it returned is never settled. This is used when the
+     * attempt is deliberately cut short by the application, which is not a
+     * failure to connect.
+     *
+     * @private
+     */
+    function abandonConnection() {
+        pendingConnection = null;
+    }
+
+    /**
+     * Adds the given handlers as listeners for the error and statechange
+     * events of the tunnel. As listeners are used rather than the onerror
+     * and onstatechange properties, the application remains free to assign
+     * those properties at any time. The returned function removes the added
+     * listeners.
+     *
+     * @private
+     * @param {function} errorHandler
+     *     The function to invoke with the Status of each tunnel error.
+     *
+     * @param {function} stateHandler
+     *     The function to invoke with each new tunnel state.
+     *
+     * @returns {function}
+     *     A function which removes the added listeners.
+     */
+    function observeTunnel(errorHandler, stateHandler) {
+
+        tunnel.addEventListener("error", errorHandler);
+        tunnel.addEventListener("statechange", stateHandler);
+
+        return function stopObservingTunnel() {
+            tunnel.removeEventListener("error", errorHandler);
+            tunnel.removeEventListener("statechange", stateHandler);
+        };
+
+    }
+
+    /**
+     * Handles errors reported by the tunnel while connected or connecting,
+     * storing the reported status until the tunnel closes.
+     *
+     * @private
+     * @param {Status} status
+     *     The status describing the error.
+     */
+    function handleTunnelError(status) {
+        tunnelError = status;
+    }
+
+    /**
+     * Handles changes in the state of the tunnel while connected or
+     * connecting. If the tunnel closes unexpectedly, any pending connection
+     * attempt fails or, if the connection was already established and a
+     * reconnect policy is set, reconnection is attempted.
+     *
+     * @private
+     * @param {Number} state
+     *     The new state of the tunnel.
+     */
+    function handleTunnelStateChange(state) {
+
+        if (state !== Tunnel.State.CLOSED)
+            return;
+
+        var status = tunnelError || new Status(Status.Code.SERVER_ERROR,
+                "Tunnel closed unexpectedly.");
+        tunnelError = null;
+
+        // Ignore closure of the tunnel as part of disconnecting
+        if (currentState === Client.State.DISCONNECTING
+                || currentState === Client.State.DISCONNECTED)
+            return;
+
+        // Attempt to reconnect if the connection had been established
+        if (reconnecting || (currentState === Client.State.CONNECTED
+                && guac_client.reconnectPolicy)) {
+            scheduleReconnect(status);
+            return;
         }
+
+        // Otherwise, fail any pending connection attempt, cleaning up as the
+        // connection will never be established
+        settleConnection(status);
+        stopConnection();
+        setState(Client.State.DISCONNECTED);
+
+    }
+
+    /**
+     * Stops all activity related to the current connection, including
+     * pinging the server, recalculating statistics, reconnecting, and
+     * observing the tunnel. The tunnel itself is left untouched.
+     *
+     * @private
+     */
+    function stopConnection() {
+
+        // Stop ping
+        if (pingInterval)
+            clearInterval(pingInterval);
+
+        // Stop statistics
+        stopStatistics();
+
+        // Abandon any reconnection attempt
+        clearTimeout(reconnectTimeout);
+        reconnecting = false;
+        reconnectAttempts = 0;
+
+        // Stop observing tunnel
+        if (stopObservingTunnel) {
+            stopObservingTunnel();
+            stopObservingTunnel = null;
+        }
+
+    }
+
+    /**
+     * Schedules the next attempt to reconnect the tunnel, as dictated by the
+     * current reconnect policy. If no attempts remain, this Client is
+     * disconnected.
+     *
+     * @private
+     * @param {Status} status
+     *     The status describing why the tunnel was lost.
+     */
+    function scheduleReconnect(status) {
+
+        var policy = guac_client.reconnectPolicy;
+
+        // Give up if no further attempts are allowed, reporting the last
+        // failure as the reason the connection ended
+        if (!policy || reconnectAttempts >= policy.maxAttempts) {
+            reconnecting = false;
+            reconnectAttempts = 0;
+            guac_client.dispatchEvent("error", status);
+            guac_client.disconnect();
+            return;
+        }
+
+        var delay = policy.getDelay(reconnectAttempts);
+
+        reconnecting = true;
+        reconnectAttempts++;
+        setState(Client.State.CONNECTING);
+
+        guac_client.dispatchEvent("reconnecting", reconnectAttempts, delay, status);
+
+        reconnectTimeout = setTimeout(function reconnect() {
+
+            reconnectTimeout = null;
+
+            // Streams and objects of the lost connection no longer exist
+            streams = [];
+            parsers = [];
+            objects = [];
+            audioPlayers = {};
+            videoPlayers = {};
+            output_streams = [];
+            stream_indices = new IntegerPool();
+
+            // Reconnect, rejoining the same connection if possible. The
+            // display is left untouched, to be updated by the new connection.
+            try {
+                tunnel.connect(policy.getConnectData(connectData, connectionID));
+            }
+            catch (status) {
+                scheduleReconnect(status);
+                return;
+            }
+
+            // The tunnel may have failed, and the next attempt been
+            // scheduled (or reconnection abandoned), before the tunnel's
+            // connect() returned
+            if (currentState !== Client.State.CONNECTING || reconnectTimeout !== null)
+                return;
+
+            setState(Client.State.WAITING);
+
+        }, delay);
+
+    }
+
+    /**
+     * Completes an in-progress reconnection once the new connection has been
+     * established, restoring the screen size of the previous connection.
+     *
+     * @private
+     */
+    function completeReconnect() {
+
+        reconnecting = false;
+        reconnectAttempts = 0;
+
+        // Restore previous size of the remote display
+        if (lastSize)
+            tunnel.sendMessage("size", lastSize.width, lastSize.height);
+
+        guac_client.dispatchEvent("reconnected");
+
     }
 
     function isConnected() {
-        return currentState == STATE_CONNECTED
-            || currentState == STATE_WAITING;
+        return currentState == Client.State.CONNECTED
+            || currentState == Client.State.WAITING;
     }
 
     /**
@@ -157,6 +603,227 @@ export default function Client(tunnel) {
         return display;
     };
 
+    /**
+     * Returns the most recently calculated statistics describing the
+     * performance of the current connection. Rates are calculated over the
+     * most recent statistics interval, while the number of pending frames is
+     * always current.
+     *
+     * @returns {Client.Statistics}
+     *     The current connection statistics.
+     */
+    this.getStatistics = function getStatistics() {
+        statistics.pendingFrames = display.getPendingFrames();
+        return statistics;
+    };
+
+    /**
+     * Recalculates the connection statistics from the counters of the current
+     * measurement period, firing onstatistics and beginning a new
+     * measurement period.
+     *
+     * @private
+     */
+    function updateStatistics() {
+
+        var now = new Date().getTime();
+        var seconds = (now - statisticsStart) / 1000;
+
+        statistics = new Client.Statistics({
+            "latency"               : tunnel.roundTripTime,
+            "renderTime"            : renderedFrames ? renderTimeTotal / renderedFrames : 0,
+            "framesPerSecond"       : seconds ? renderedFrames / seconds : 0,
+            "bytesPerSecond"        : seconds ? receivedCharacters / seconds : 0,
+            "instructionsPerSecond" : seconds ? receivedInstructions / seconds : 0,
+            "pendingFrames"         : display.getPendingFrames()
+        });
+
+        // Begin new measurement period
+        statisticsStart = now;
+        receivedCharacters = 0;
+        receivedInstructions = 0;
+        renderedFrames = 0;
+        renderTimeTotal = 0;
+
+        guac_client.dispatchEvent("statistics", statistics);
+
+    }
+
+    /**
+     * Starts periodically recalculating the connection statistics, as
+     * dictated by statisticsInterval, stopping any previous recalculation.
+     *
+     * @private
+     */
+    function startStatistics() {
+
+        stopStatistics();
+        statisticsStart = new Date().getTime();
+
+        statisticsTimeout = setTimeout(function nextStatistics() {
+            updateStatistics();
+            statisticsTimeout = setTimeout(nextStatistics,
+                    guac_client.statisticsInterval);
+        }, guac_client.statisticsInterval);
+
+    }
+
+    /**
+     * Stops periodically recalculating the connection statistics.
+     *
+     * @private
+     */
+    function stopStatistics() {
+        clearTimeout(statisticsTimeout);
+        statisticsTimeout = null;
+    }
+
+    /**
+     * Returns the protocol index of the given layer, as tracked by this
+     * Client. If the layer is not known to this Client, null is returned.
+     *
+     * @private
+     * @param {Display.VisibleLayer|Layer} layer
+     *     The layer whose index should be determined.
+     *
+     * @returns {Number}
+     *     The index of the given layer, or null if no such layer is known.
+     */
+    var getLayerIndex = function getLayerIndex(layer) {
+
+        // Search all known layers for the given layer
+        for (var key in layers) {
+            if (layer === layers[key])
+                return parseInt(key);
+        }
+
+        return null;
+
+    };
+
+    /**
+     * Produces an opaque representation of the current state of this Client,
+     * including the contents and position of every layer and buffer. As the
+     * display must first be flushed, the state is provided asynchronously to
+     * the given callback. The state may later be restored with importState().
+     *
+     * @param {function} callback
+     *     The function to invoke with the exported state, once available.
+     */
+    this.exportState = function exportState(callback) {
+
+        var state = {
+            "currentState"     : currentState,
+            "currentTimestamp" : currentTimestamp,
+            "layers"           : {}
+        };
+
+        // Snapshot the layers which exist at the time of export
+        var layersSnapshot = {};
+        for (var key in layers)
+            layersSnapshot[key] = layers[key];
+
+        // Export layer contents only once all pending operations are complete
+        display.flush(function populateLayers() {
+
+            for (var key in layersSnapshot) {
+
+                var index = parseInt(key);
+                var layer = layersSnapshot[key];
+
+                var exportLayer = {
+                    "width"  : layer.width,
+                    "height" : layer.height
+                };
+
+                // Store layer contents only if non-empty and rendered
+                var canvas = layer.getCanvas();
+                if (canvas && layer.width && layer.height)
+                    exportLayer.url = canvas.toDataURL("image/png");
+
+                // Visible layers additionally have position and parent
+                if (index > 0) {
+                    exportLayer.x = layer.x;
+                    exportLayer.y = layer.y;
+                    exportLayer.z = layer.z;
+                    exportLayer.alpha = layer.alpha;
+                    exportLayer.matrix = layer.matrix;
+                    exportLayer.parent = getLayerIndex(layer.parent);
+                }
+
+                state.layers[key] = exportLayer;
+
+            }
+
+            callback(state);
+
+        });
+
+    };
+
+    /**
+     * Restores the state of this Client from the given opaque representation,
+     * as produced by exportState(). All current layers and buffers are
+     * replaced by those within the given state.
+     *
+     * @param {Object} state
+     *     The state to restore, as produced by exportState().
+     *
+     * @param {function} [callback]
+     *     The function to invoke once the state has been fully restored and
+     *     the display has been flushed, if any.
+     */
+    this.importState = function importState(state, callback) {
+
+        var key;
+        var index;
+
+        currentState = state.currentState;
+        currentTimestamp = state.currentTimestamp;
+
+        // Dispose of all visible layers
+        for (key in layers) {
+            index = parseInt(key);
+            if (index > 0)
+                layers[key].dispose();
+        }
+
+        layers = {};
+
+        // Recreate all layers from the given state
+        for (key in state.layers) {
+
+            index = parseInt(key);
+
+            var importLayer = state.layers[key];
+            var layer = getLayer(index);
+
+            // Restore size and contents
+            display.resize(layer, importLayer.width, importLayer.height);
+            if (importLayer.url) {
+                display.setChannelMask(layer, Layer.SRC);
+                display.draw(layer, 0, 0, importLayer.url);
+            }
+
+            // Restore position and parent of visible layers
+            if (index > 0 && importLayer.parent >= 0) {
+
+                var parent = getLayer(importLayer.parent);
+                layer.move(parent, importLayer.x, importLayer.y, importLayer.z);
+                layer.shade(importLayer.alpha);
+
+                var matrix = importLayer.matrix;
+                layer.distort(matrix[0], matrix[1], matrix[2],
+                              matrix[3], matrix[4], matrix[5]);
+
+            }
+
+        }
+
+        display.flush(callback);
+
+    };
+
     /**
      * Sends the current size of the screen.
      *
@@ -165,6 +832,12 @@ export default function Client(tunnel) {
      */
     this.sendSize = function(width, height) {
 
+        // Remember size for future reconnections
+        lastSize = {
+            "width"  : width,
+            "height" : height
+        };
+
         // Do not send requests if not connected
         if (!isConnected())
             return;
@@ -202,6 +875,9 @@ export default function Client(tunnel) {
         if (!isConnected())
             return;
 
+        // The local user is now driving the cursor
+        lastLocalMouse = new Date().getTime();
+
         // Update client-side cursor
         display.moveCursor(
             Math.floor(mouseState.x),
@@ -220,6 +896,26 @@ export default function Client(tunnel) {
         tunnel.sendMessage("mouse", Math.floor(mouseState.x), Math.floor(mouseState.y), buttonMask);
     };
 
+    /**
+     * Sends a touch event having the properties provided by the given touch
+     * state. A touch state having a force of zero releases the touch.
+     *
+     * @param {Touch.State} touchState The state of the touch to send in the
+     *                                 touch event.
+     */
+    this.sendTouchState = function(touchState) {
+
+        // Do not send requests if not connected
+        if (!isConnected())
+            return;
+
+        tunnel.sendMessage("touch", touchState.id,
+            Math.floor(touchState.x), Math.floor(touchState.y),
+            Math.floor(touchState.radiusX), Math.floor(touchState.radiusY),
+            touchState.angle, touchState.force);
+
+    };
+
     /**
      * Sets the clipboard of the remote client to the given text data.
      *
@@ -265,9 +961,15 @@ export default function Client(tunnel) {
         // Override sendEnd() of stream to automatically free index
         var old_end = stream.sendEnd;
         stream.sendEnd = function() {
+
             old_end();
-            stream_indices.free(index);
-            delete output_streams[index];
+
+            // Free index only if it was not reset by a reconnection
+            if (output_streams[index] === stream) {
+                stream_indices.free(index);
+                delete output_streams[index];
+            }
+
         };
 
         // Return new, overridden stream
@@ -294,9 +996,54 @@ export default function Client(tunnel) {
         // Override sendEnd() of stream to automatically free index
         var old_end = stream.sendEnd;
         stream.sendEnd = function() {
+
             old_end();
-            stream_indices.free(index);
-            delete output_streams[index];
+
+            // Free index only if it was not reset by a reconnection
+            if (output_streams[index] === stream) {
+                stream_indices.free(index);
+                delete output_streams[index];
+            }
+
+        };
+
+        // Return new, overridden stream
+        return stream;
+
+    };
+
+    /**
+     * Opens a new argument value stream for writing, having the given
+     * parameter name and mimetype, requesting that the connection parameter
+     * with the given name be updated to the value described by the contents
+     * of the following stream. This is used to answer the "required"
+     * instruction, and to change connection parameters at runtime.
+     *
+     * @param {String} mimetype The mimetype of the data being sent.
+     * @param {String} name The name of the connection parameter to update.
+     * @return {OutputStream} The created argument value stream.
+     */
+    this.createArgumentValueStream = function createArgumentValueStream(mimetype, name) {
+
+        // Allocate index
+        var index = stream_indices.next();
+
+        // Create new stream
+        tunnel.sendMessage("argv", index, mimetype, name);
+        var stream = output_streams[index] = new OutputStream(guac_client, index);
+
+        // Override sendEnd() of stream to automatically free index
+        var oldEnd = stream.sendEnd;
+        stream.sendEnd = function freeStreamIndex() {
+
+            oldEnd();
+
+            // Free index only if it was not reset by a reconnection
+            if (output_streams[index] === stream) {
+                stream_indices.free(index);
+                delete output_streams[index];
+            }
+
         };
 
         // Return new, overridden stream
@@ -323,9 +1070,15 @@ export default function Client(tunnel) {
         // Override sendEnd() of stream to automatically free index
         var old_end = stream.sendEnd;
         stream.sendEnd = function() {
+
             old_end();
-            stream_indices.free(index);
-            delete output_streams[index];
+
+            // Free index only if it was not reset by a reconnection
+            if (output_streams[index] === stream) {
+                stream_indices.free(index);
+                delete output_streams[index];
+            }
+
         };
 
         // Return new, overridden stream
@@ -364,9 +1117,15 @@ export default function Client(tunnel) {
         // Override sendEnd() of stream to automatically free index
         var oldEnd = stream.sendEnd;
         stream.sendEnd = function freeStreamIndex() {
+
             oldEnd();
-            stream_indices.free(streamIndex);
-            delete output_streams[streamIndex];
+
+            // Free index only if it was not reset by a reconnection
+            if (output_streams[streamIndex] === stream) {
+                stream_indices.free(streamIndex);
+                delete output_streams[streamIndex];
+            }
+
         };
 
         // Return new, overridden stream
@@ -428,26 +1187,264 @@ export default function Client(tunnel) {
     };
 
     /**
-     * Marks a currently-open stream as complete.
+     * Marks a currently-open stream as complete.
+     *
+     * @param {Number} index The index of the stream to end.
+     */
+    this.endStream = function(index) {
+
+        // Do not send requests if not connected
+        if (!isConnected())
+            return;
+
+        tunnel.sendMessage("end", index);
+    };
+
+    /**
+     * Removes the given hook from the given list of registered hooks, if
+     * present.
+     *
+     * @private
+     * @param {Object[]} hooks The list of registered hooks.
+     * @param {String} opcode The opcode the hook was registered for.
+     * @param {function} hook The hook to remove.
+     */
+    function removeHook(hooks, opcode, hook) {
+        for (var i = 0; i < hooks.length; i++) {
+            if (hooks[i].opcode === opcode && hooks[i].hook === hook) {
+                hooks.splice(i, 1);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Registers a function which will be invoked with each received
+     * instruction having the given opcode before that instruction is
+     * handled. Interceptors are invoked in the order registered, and may
+     * inspect, veto or rewrite instructions:
+     *
+     * - If the interceptor returns false, the instruction is dropped. No
+     *   further interceptors, handlers or observers are invoked.
+     *
+     * - If the interceptor returns an array, the instruction is replaced by
+     *   the instruction described by that array, whose first element is the
+     *   new opcode and whose remaining elements are the new parameters.
+     *
+     * - Otherwise, the instruction is handled as received, including any
+     *   changes made to the parameters array by the interceptor.
+     *
+     * @param {String} opcode
+     *     The opcode of the instructions to intercept, or null to intercept
+     *     all instructions.
+     *
+     * @param {function} interceptor
+     *     The function to invoke with the opcode and parameters array of each
+     *     intercepted instruction. The parameters array is only valid for the
+     *     duration of the call.
+     */
+    this.addInstructionInterceptor = function addInstructionInterceptor(opcode, interceptor) {
+        instructionInterceptors.push({
+            "opcode" : opcode,
+            "hook"   : interceptor
+        });
+    };
+
+    /**
+     * Removes an interceptor previously registered with
+     * addInstructionInterceptor(). If no such interceptor is registered, this
+     * function has no effect.
+     *
+     * @param {String} opcode
+     *     The opcode the interceptor was registered for, or null if it was
+     *     registered for all instructions.
+     *
+     * @param {function} interceptor The interceptor to remove.
+     */
+    this.removeInstructionInterceptor = function removeInstructionInterceptor(opcode, interceptor) {
+        removeHook(instructionInterceptors, opcode, interceptor);
+    };
+
+    /**
+     * Registers a function which will be invoked with each received
+     * instruction having the given opcode after that instruction has been
+     * handled. Instructions dropped by an interceptor are not observed, and
+     * rewritten instructions are observed in their rewritten form.
+     *
+     * @param {String} opcode
+     *     The opcode of the instructions to observe, or null to observe all
+     *     instructions.
+     *
+     * @param {function} observer
+     *     The function to invoke with the opcode and parameters array of each
+     *     observed instruction. The parameters array is only valid for the
+     *     duration of the call.
+     */
+    this.addInstructionObserver = function addInstructionObserver(opcode, observer) {
+        instructionObservers.push({
+            "opcode" : opcode,
+            "hook"   : observer
+        });
+    };
+
+    /**
+     * Removes an observer previously registered with
+     * addInstructionObserver(). If no such observer is registered, this
+     * function has no effect.
+     *
+     * @param {String} opcode
+     *     The opcode the observer was registered for, or null if it was
+     *     registered for all instructions.
+     *
+     * @param {function} observer The observer to remove.
+     */
+    this.removeInstructionObserver = function removeInstructionObserver(opcode, observer) {
+        removeHook(instructionObservers, opcode, observer);
+    };
+
+    /**
+     * Sets the handler for received instructions having the given opcode,
+     * such as a custom opcode provided by a server extension. Handlers set
+     * with this function take precedence over the built-in handling of the
+     * same opcode.
+     *
+     * @param {String} opcode
+     *     The opcode of the instructions to handle.
+     *
+     * @param {function} handler
+     *     The function to invoke with the parameters array of each received
+     *     instruction having the given opcode, or null to remove the handler
+     *     previously set, restoring any built-in handling.
+     */
+    this.setInstructionHandler = function setInstructionHandler(opcode, handler) {
+        if (handler)
+            customInstructionHandlers[opcode] = handler;
+        else
+            delete customInstructionHandlers[opcode];
+    };
+
+    /**
+     * Begins recording all instructions subsequently received from the server
+     * through the tunnel. The recorded instructions can later be retrieved as
+     * a Blob in the same format as recordings produced by the Guacamole
+     * server (a ".guac" file), which can be played back using
+     * {@link SessionRecording}. As only instructions received after this
+     * function is called are recorded, recording should be started before
+     * connecting if the entire session is to be captured. If recording is
+     * already in progress, this function has no effect.
+     */
+    this.startRecording = function startRecording() {
+        if (!recordedInstructions)
+            recordedInstructions = [];
+    };
+
+    /**
+     * Stops recording received instructions, returning everything recorded
+     * since recording was started. If recording is not in progress, null is
+     * returned.
+     *
+     * @returns {Blob}
+     *     A Blob containing all instructions recorded, or null if recording
+     *     was not in progress.
+     */
+    this.stopRecording = function stopRecording() {
+
+        var recording = guac_client.getRecording();
+        recordedInstructions = null;
+
+        return recording;
+
+    };
+
+    /**
+     * Returns whether instructions received from the server are currently
+     * being recorded.
+     *
+     * @returns {Boolean}
+     *     true if recording is in progress, false otherwise.
+     */
+    this.isRecording = function isRecording() {
+        return !!recordedInstructions;
+    };
+
+    /**
+     * Returns all instructions recorded so far, without stopping the
+     * recording. If recording is not in progress, null is returned.
+     *
+     * @returns {Blob}
+     *     A Blob containing all instructions recorded so far, or null if
+     *     recording is not in progress.
+     */
+    this.getRecording = function getRecording() {
+
+        if (!recordedInstructions)
+            return null;
+
+        return new Blob(recordedInstructions, {"type": "application/octet-stream"});
+
+    };
+
+    /**
+     * The policy dictating whether and how this Client reconnects if the
+     * tunnel is lost after the connection has been established. If null,
+     * the default, no reconnection is attempted.
+     *
+     * @type {Client.ReconnectPolicy}
+     */
+    this.reconnectPolicy = null;
+
+    /**
+     * The number of milliseconds between each recalculation of the
+     * connection statistics returned by getStatistics() and provided to
+     * onstatistics.
+     *
+     * @type {Number}
+     * @default 1000
+     */
+    this.statisticsInterval = 1000;
+
+    /**
+     * Fired whenever the connection statistics have been recalculated, once
+     * per statisticsInterval while connected.
+     *
+     * @event
+     * @param {Client.Statistics} statistics The current connection statistics.
+     */
+    this.onstatistics = null;
+
+    /**
+     * Fired whenever the state of this Client changes.
      *
-     * @param {Number} index The index of the stream to end.
+     * @event
+     * @param {Number} state
+     *     The new state of the client, as defined by Client.State.
      */
-    this.endStream = function(index) {
-
-        // Do not send requests if not connected
-        if (!isConnected())
-            return;
+    this.onstatechange = null;
 
-        tunnel.sendMessage("end", index);
-    };
+    /**
+     * Fired when the tunnel has been lost and a reconnection attempt has
+     * been scheduled, as dictated by the reconnect policy. The display
+     * retains its contents while reconnecting.
+     *
+     * @event
+     * @param {Number} attempt
+     *     The number of the reconnection attempt, starting at 1.
+     *
+     * @param {Number} delay
+     *     The number of milliseconds before the attempt will be made.
+     *
+     * @param {Status} status
+     *     A status object which describes why the tunnel was lost.
+     */
+    this.onreconnecting = null;
 
     /**
-     * Fired whenever the state of this Client changes.
+     * Fired when a reconnection attempt has succeeded and the connection has
+     * been reestablished.
      *
      * @event
-     * @param {Number} state The new state of the client.
      */
-    this.onstatechange = null;
+    this.onreconnected = null;
 
     /**
      * Fired when the remote client sends a name update.
@@ -459,7 +1456,8 @@ export default function Client(tunnel) {
 
     /**
      * Fired when an error is reported by the remote client, and the connection
-     * is being closed.
+     * is being closed. This is also fired with the most recent failure if the
+     * connection is closed because reconnection has been abandoned.
      *
      * @event
      * @param {Status} status A status object which describes the
@@ -467,6 +1465,28 @@ export default function Client(tunnel) {
      */
     this.onerror = null;
 
+    /**
+     * Fired when the server ends the connection cleanly with a "disconnect"
+     * instruction, before this Client disconnects. Unlike onstatechange,
+     * this distinguishes a server-initiated disconnect from one requested by
+     * the application.
+     *
+     * @event
+     * @param {Status} status
+     *     A status object with a success code which describes the
+     *     disconnect.
+     */
+    this.ondisconnect = null;
+
+    /**
+     * Fired when the server sends a log message, typically for debugging or
+     * diagnostic purposes.
+     *
+     * @event
+     * @param {String} message The message logged by the server.
+     */
+    this.onlog = null;
+
     /**
      * Fired when a audio stream is created. The stream provided to this event
      * handler will contain its own event handlers for received data.
@@ -510,6 +1530,21 @@ export default function Client(tunnel) {
      */
     this.onvideo = null;
 
+    /**
+     * Fired when the current value of a connection parameter is being exposed
+     * by the server, such as when the value of a parameter has changed at
+     * runtime. The stream provided to this event handler will contain its
+     * own event handlers for received data. Parameter values can be changed
+     * by sending new values using createArgumentValueStream().
+     *
+     * @event
+     * @param {InputStream} stream The stream that will receive the
+     *                             parameter value from the server.
+     * @param {String} mimetype The mimetype of the data which will be received.
+     * @param {String} name The name of the connection parameter.
+     */
+    this.onargv = null;
+
     /**
      * Fired when the clipboard of the remote client is changing.
      *
@@ -558,6 +1593,47 @@ export default function Client(tunnel) {
      */
     this.onpipe = null;
 
+    /**
+     * Fired when the remote server requires the values of the given
+     * connection parameters before the connection can continue, such as
+     * credentials which were not provided when connecting. Each value should
+     * be sent using a stream created with createArgumentValueStream(). If
+     * no handler is defined, the request is ignored.
+     *
+     * @event
+     * @param {String[]} parameters
+     *     The names of the connection parameters whose values are required.
+     */
+    this.onrequired = null;
+
+    /**
+     * Fired when the server reports the position of the mouse, such as when
+     * another user of a shared connection moves the mouse. Unless the local
+     * user is currently moving the mouse, the local cursor is automatically
+     * moved to the reported position. While the local user is moving the
+     * mouse, the reported position must be that of another user, and is
+     * shown as a remote cursor having the ID Client.REMOTE_MOUSE_ID if
+     * remote cursors have been enabled with Display.showRemoteCursors().
+     *
+     * @example
+     * display.showRemoteCursors(true);
+     * client.onmouse = function(x, y, buttonMask) {
+     *     return "Other user";
+     * };
+     *
+     * @event
+     * @param {Number} x The X coordinate of the mouse.
+     * @param {Number} y The Y coordinate of the mouse.
+     * @param {Number} buttonMask
+     *     The mouse buttons currently pressed, encoded in the same manner as
+     *     mouse events sent to the server, or 0 if not reported.
+     *
+     * @return {String}
+     *     The label to display alongside the remote cursor, if any, such as
+     *     the name of the user known to be moving the mouse.
+     */
+    this.onmouse = null;
+
     /**
      * Fired whenever a sync instruction is received from the server, indicating
      * that the server is finished processing any input from the client and
@@ -608,11 +1684,12 @@ export default function Client(tunnel) {
 
         var parser = parsers[index];
 
-        // If parser not yet created, create it, and tie to the
-        // oninstruction handler of the tunnel.
+        // If parser not yet created, create it, and tie to the instruction
+        // handlers. Nested instructions are not recorded separately, as the
+        // "nest" instruction containing them is already recorded.
         if (parser == null) {
             parser = parsers[index] = new Parser();
-            parser.oninstruction = tunnel.oninstruction;
+            parser.oninstruction = handleInstruction;
         }
 
         return parser;
@@ -676,6 +1753,24 @@ export default function Client(tunnel) {
 
         },
 
+        "argv": function(parameters) {
+
+            var stream_index = parseInt(parameters[0]);
+            var mimetype = parameters[1];
+            var name = parameters[2];
+
+            // Create stream
+            if (guac_client.hasEventHandlers("argv")) {
+                var stream = streams[stream_index] = new InputStream(guac_client, stream_index);
+                guac_client.dispatchEvent("argv", stream, mimetype, name);
+            }
+
+            // Otherwise, unsupported
+            else
+                guac_client.sendAck(stream_index, "Receiving argument values unsupported", 0x0100);
+
+        },
+
         "audio": function(parameters) {
 
             var stream_index = parseInt(parameters[0]);
@@ -687,8 +1782,8 @@ export default function Client(tunnel) {
 
             // Get player instance via callback
             var audioPlayer = null;
-            if (guac_client.onaudio)
-                audioPlayer = guac_client.onaudio(stream, mimetype);
+            if (guac_client.hasEventHandlers("audio"))
+                audioPlayer = guac_client.dispatchEvent("audio", stream, mimetype);
 
             // If unsuccessful, try to use a default implementation
             if (!audioPlayer)
@@ -714,8 +1809,8 @@ export default function Client(tunnel) {
             var stream = streams[stream_index];
 
             // Write data
-            if (stream && stream.onblob)
-                stream.onblob(data);
+            if (stream)
+                stream.dispatchEvent("blob", data);
 
         },
 
@@ -730,9 +1825,9 @@ export default function Client(tunnel) {
             var name = parameters[3];
 
             // Create stream if handler defined
-            if (object && object.onbody) {
+            if (object && object.hasEventHandlers("body")) {
                 var stream = streams[streamIndex] = new InputStream(guac_client, streamIndex);
-                object.onbody(stream, mimetype, name);
+                object.dispatchEvent("body", stream, mimetype, name);
             }
 
             // Otherwise, unsupported
@@ -769,9 +1864,9 @@ export default function Client(tunnel) {
             var mimetype = parameters[1];
 
             // Create stream
-            if (guac_client.onclipboard) {
+            if (guac_client.hasEventHandlers("clipboard")) {
                 var stream = streams[stream_index] = new InputStream(guac_client, stream_index);
-                guac_client.onclipboard(stream, mimetype);
+                guac_client.dispatchEvent("clipboard", stream, mimetype);
             }
 
             // Otherwise, unsupported
@@ -852,6 +1947,21 @@ export default function Client(tunnel) {
 
         },
 
+        "disconnect": function(parameters) {
+
+            // The server has ended the connection cleanly
+            var status = new Status(Status.Code.SUCCESS, "Disconnected by server.");
+
+            // Notify of disconnect
+            guac_client.dispatchEvent("disconnect", status);
+
+            // Fail any pending connection attempt with the same status
+            settleConnection(status);
+
+            guac_client.disconnect();
+
+        },
+
         "dispose": function(parameters) {
 
             var layer_index = parseInt(parameters[0]);
@@ -899,9 +2009,13 @@ export default function Client(tunnel) {
             var reason = parameters[0];
             var code = parseInt(parameters[1]);
 
-            // Call handler if defined
-            if (guac_client.onerror)
-                guac_client.onerror(new Status(code, reason));
+            var status = new Status(code, reason);
+
+            // Notify of error
+            guac_client.dispatchEvent("error", status);
+
+            // Fail any pending connection attempt with the received error
+            settleConnection(status);
 
             guac_client.disconnect();
 
@@ -915,9 +2029,8 @@ export default function Client(tunnel) {
             var stream = streams[stream_index];
             if (stream) {
 
-                // Signal end of stream if handler defined
-                if (stream.onend)
-                    stream.onend();
+                // Signal end of stream
+                stream.dispatchEvent("end");
 
                 // Invalidate stream
                 delete streams[stream_index];
@@ -933,9 +2046,9 @@ export default function Client(tunnel) {
             var filename = parameters[2];
 
             // Create stream
-            if (guac_client.onfile) {
+            if (guac_client.hasEventHandlers("file")) {
                 var stream = streams[stream_index] = new InputStream(guac_client, stream_index);
-                guac_client.onfile(stream, mimetype, filename);
+                guac_client.dispatchEvent("file", stream, mimetype, filename);
             }
 
             // Otherwise, unsupported
@@ -950,9 +2063,9 @@ export default function Client(tunnel) {
             var name = parameters[1];
 
             // Create object, if supported
-            if (guac_client.onfilesystem) {
+            if (guac_client.hasEventHandlers("filesystem")) {
                 var object = objects[objectIndex] = new GObject(guac_client, objectIndex);
-                guac_client.onfilesystem(object, name);
+                guac_client.dispatchEvent("filesystem", object, name);
             }
 
             // If unsupported, simply ignore the availability of the filesystem
@@ -1022,6 +2135,10 @@ export default function Client(tunnel) {
 
         },
 
+        "log": function(parameters) {
+            guac_client.dispatchEvent("log", parameters[0]);
+        },
+
         "lstroke": function(parameters) {
 
             var channelMask = parseInt(parameters[0]);
@@ -1033,6 +2150,28 @@ export default function Client(tunnel) {
 
         },
 
+        "mouse": function(parameters) {
+
+            var x = parseInt(parameters[0]);
+            var y = parseInt(parameters[1]);
+            var buttonMask = parseInt(parameters[2]) || 0;
+
+            var label = guac_client.dispatchEvent("mouse", x, y, buttonMask);
+
+            // Move local cursor only if the local user is not driving it
+            if (new Date().getTime() - lastLocalMouse >= LOCAL_MOUSE_TIMEOUT) {
+                display.moveCursor(x, y);
+                display.removeRemoteCursor(Client.REMOTE_MOUSE_ID);
+            }
+
+            // Otherwise, the reported position is that of another user, and
+            // is shown as a remote cursor if remote cursors are enabled
+            else if (display.isShowingRemoteCursors())
+                display.setRemoteCursor(Client.REMOTE_MOUSE_ID, x, y,
+                        typeof label === "string" ? label : undefined);
+
+        },
+
         "move": function(parameters) {
 
             var layer_index = parseInt(parameters[0]);
@@ -1051,7 +2190,7 @@ export default function Client(tunnel) {
         },
 
         "name": function(parameters) {
-            if (guac_client.onname) guac_client.onname(parameters[0]);
+            guac_client.dispatchEvent("name", parameters[0]);
         },
 
         "nest": function(parameters) {
@@ -1066,9 +2205,9 @@ export default function Client(tunnel) {
             var name = parameters[2];
 
             // Create stream
-            if (guac_client.onpipe) {
+            if (guac_client.hasEventHandlers("pipe")) {
                 var stream = streams[stream_index] = new InputStream(guac_client, stream_index);
-                guac_client.onpipe(stream, mimetype, name);
+                guac_client.dispatchEvent("pipe", stream, mimetype, name);
             }
 
             // Otherwise, unsupported
@@ -1118,6 +2257,14 @@ export default function Client(tunnel) {
 
         },
 
+        "ready": function(parameters) {
+            connectionID = parameters[0];
+        },
+
+        "required": function(parameters) {
+            guac_client.dispatchEvent("required", parameters.slice());
+        },
+
         "reset": function(parameters) {
 
             var layer = getLayer(parseInt(parameters[0]));
@@ -1176,10 +2323,15 @@ export default function Client(tunnel) {
         "sync": function(parameters) {
 
             var timestamp = parseInt(parameters[0]);
+            var received = new Date().getTime();
 
             // Flush display, send sync when done
             display.flush(function displaySyncComplete() {
 
+                // Track frame rendering for statistics
+                renderedFrames++;
+                renderTimeTotal += new Date().getTime() - received;
+
                 // Synchronize all audio players
                 for (var index in audioPlayers) {
                     var audioPlayer = audioPlayers[index];
@@ -1196,12 +2348,11 @@ export default function Client(tunnel) {
             });
 
             // If received first update, no longer waiting.
-            if (currentState === STATE_WAITING)
-                setState(STATE_CONNECTED);
+            if (currentState === Client.State.WAITING)
+                setState(Client.State.CONNECTED);
 
-            // Call sync handler if defined
-            if (guac_client.onsync)
-                guac_client.onsync(timestamp);
+            // Notify of sync
+            guac_client.dispatchEvent("sync", timestamp);
 
         },
 
@@ -1250,8 +2401,8 @@ export default function Client(tunnel) {
             var object = objects[objectIndex];
 
             // Signal end of object definition
-            if (object && object.onundefine)
-                object.onundefine();
+            if (object)
+                object.dispatchEvent("undefine");
 
         },
 
@@ -1267,8 +2418,8 @@ export default function Client(tunnel) {
 
             // Get player instance via callback
             var videoPlayer = null;
-            if (guac_client.onvideo)
-                videoPlayer = guac_client.onvideo(stream, layer, mimetype);
+            if (guac_client.hasEventHandlers("video"))
+                videoPlayer = guac_client.dispatchEvent("video", stream, layer, mimetype);
 
             // If unsuccessful, try to use a default implementation
             if (!videoPlayer)
@@ -1288,36 +2439,119 @@ export default function Client(tunnel) {
 
     };
 
-    tunnel.oninstruction = function(opcode, parameters) {
+    /**
+     * Invokes the handler for the given instruction, if any, along with any
+     * registered interceptors and observers.
+     *
+     * @private
+     * @param {String} opcode The opcode of the instruction to handle.
+     * @param {String[]} parameters The parameters of the instruction.
+     */
+    function handleInstruction(opcode, parameters) {
+
+        var i;
+        var entry;
+
+        // Allow interceptors to veto or rewrite the instruction
+        var interceptors = instructionInterceptors.slice();
+        for (i = 0; i < interceptors.length; i++) {
+
+            entry = interceptors[i];
+            if (entry.opcode !== null && entry.opcode !== opcode)
+                continue;
 
-        var handler = instructionHandlers[opcode];
+            var result = entry.hook(opcode, parameters);
+
+            // Drop vetoed instructions entirely
+            if (result === false)
+                return;
+
+            // Replace rewritten instructions
+            if (result instanceof Array) {
+                opcode = String(result[0]);
+                parameters = result.slice(1);
+            }
+
+        }
+
+        var handler = customInstructionHandlers[opcode] || instructionHandlers[opcode];
         if (handler)
             handler(parameters);
 
+        // Notify observers of handled instruction
+        var observers = instructionObservers.slice();
+        for (i = 0; i < observers.length; i++) {
+            entry = observers[i];
+            if (entry.opcode === null || entry.opcode === opcode)
+                entry.hook(opcode, parameters);
+        }
+
+    }
+
+    tunnel.oninstruction = function(opcode, parameters) {
+
+        // Track approximate size of received data for statistics, counting
+        // each element's length prefix and delimiters
+        receivedInstructions++;
+        receivedCharacters += opcode.length + String(opcode.length).length + 2;
+        for (var i = 0; i < parameters.length; i++) {
+            var length = parameters[i].length;
+            receivedCharacters += length + String(length).length + 2;
+        }
+
+        // Record instruction, if recording
+        if (recordedInstructions)
+            recordedInstructions.push(Parser.toInstruction([opcode].concat(parameters)));
+
+        handleInstruction(opcode, parameters);
+
     };
 
     /**
      * Sends a disconnect instruction to the server and closes the tunnel.
+     * Any connection attempt still in progress is abandoned, and the Promise
+     * returned by the corresponding call to connect() will never settle.
+     *
+     * @returns {Promise}
+     *     A Promise which resolves once the underlying tunnel has closed.
      */
     this.disconnect = function() {
 
-        // Only attempt disconnection not disconnected.
-        if (currentState != STATE_DISCONNECTED
-                && currentState != STATE_DISCONNECTING) {
+        // Wait for the tunnel to close, regardless of cause, observing the
+        // tunnel before disconnecting in case it closes synchronously
+        var closed = new Promise(function waitForTunnelClose(resolve) {
+
+            if (tunnel.state === Tunnel.State.CLOSED
+                    || currentState === Client.State.IDLE) {
+                resolve();
+                return;
+            }
+
+            var stopObserving = observeTunnel(function() {}, function(state) {
+                if (state === Tunnel.State.CLOSED) {
+                    stopObserving();
+                    resolve();
+                }
+            });
+
+        });
 
-            setState(STATE_DISCONNECTING);
+        // Only attempt disconnection not disconnected.
+        if (currentState != Client.State.DISCONNECTED
+                && currentState != Client.State.DISCONNECTING) {
 
-            // Stop ping
-            if (pingInterval)
-                window.clearInterval(pingInterval);
+            setState(Client.State.DISCONNECTING);
+            stopConnection();
 
             // Send disconnect message and disconnect
             tunnel.sendMessage("disconnect");
             tunnel.disconnect();
-            setState(STATE_DISCONNECTED);
+            setState(Client.State.DISCONNECTED);
 
         }
 
+        return closed;
+
     };
 
     /**
@@ -1326,30 +2560,329 @@ export default function Client(tunnel) {
      *
      * @param data Arbitrary connection data to be sent to the underlying
      *             tunnel during the connection process.
-     * @throws {Status} If an error occurs during connection.
+     *
+     * @returns {Promise}
+     *     A Promise which resolves once the first "sync" instruction has been
+     *     received and this Client has entered the CONNECTED state. The
+     *     Promise is rejected with a Status if the server reports an error
+     *     or disconnects, or if the tunnel fails or closes. If the connection
+     *     attempt is abandoned through disconnect() or a later call to
+     *     connect(), the Promise never settles. Failures are also reported
+     *     through onerror and onstatechange, so the Promise may be safely
+     *     ignored.
+     *
+     * @throws {Status}
+     *     If the tunnel fails to begin connecting.
      */
     this.connect = function(data) {
 
-        setState(STATE_CONNECTING);
+        // Abandon any connection attempt already in progress
+        abandonConnection();
+
+        var connection = new Promise(function(resolve, reject) {
+            pendingConnection = {
+                "resolve" : resolve,
+                "reject"  : reject
+            };
+        });
+
+        // Do not report rejections as unhandled if the caller ignores the
+        // returned Promise
+        connection.catch(function() {});
+
+        // Observe tunnel for failures
+        if (!stopObservingTunnel)
+            stopObservingTunnel = observeTunnel(handleTunnelError, handleTunnelStateChange);
+
+        connectData = data;
+        tunnelError = null;
+
+        setState(Client.State.CONNECTING);
 
         try {
             tunnel.connect(data);
         }
         catch (status) {
-            setState(STATE_IDLE);
+            abandonConnection();
+            setState(Client.State.IDLE);
             throw status;
         }
 
+        // The tunnel may have failed, and this Client disconnected, before
+        // the tunnel's connect() returned
+        if (currentState !== Client.State.CONNECTING)
+            return connection;
+
         // Ping every 5 seconds (ensure connection alive)
-        pingInterval = window.setInterval(function() {
+        pingInterval = setInterval(function() {
             tunnel.sendMessage("sync", currentTimestamp);
         }, 5000);
 
-        setState(STATE_WAITING);
+        startStatistics();
+
+        setState(Client.State.WAITING);
+
+        return connection;
+
+    };
+
+};
+
+/**
+ * The ID of the remote cursor which a Client shows, while the local user is
+ * moving the mouse, at the mouse position reported by the server.
+ *
+ * @type {String}
+ */
+Client.REMOTE_MOUSE_ID = "mouse";
+
+/**
+ * All possible Client states.
+ */
+Client.State = {
+
+    /**
+     * The client is idle, with no active connection.
+     *
+     * @type {Number}
+     */
+    "IDLE": 0,
+
+    /**
+     * The client is in the process of establishing a connection.
+     *
+     * @type {Number}
+     */
+    "CONNECTING": 1,
+
+    /**
+     * The client is waiting on further information or a remote server to
+     * establish the connection.
+     *
+     * @type {Number}
+     */
+    "WAITING": 2,
+
+    /**
+     * The client is actively connected to a remote server.
+     *
+     * @type {Number}
+     */
+    "CONNECTED": 3,
+
+    /**
+     * The client is in the process of disconnecting from the remote server.
+     *
+     * @type {Number}
+     */
+    "DISCONNECTING": 4,
+
+    /**
+     * The client has completed the connection and is no longer connected.
+     *
+     * @type {Number}
+     */
+    "DISCONNECTED": 5
+
+};
+
+/**
+ * A policy dictating how a Client attempts to reconnect after its tunnel is
+ * lost. Each attempt is delayed exponentially longer than the last, up to a
+ * maximum, with a random portion of each delay removed such that many
+ * clients losing their connections at once do not reconnect in lockstep.
+ *
+ * @constructor
+ * @param {Object} [template={}]
+ *     An object whose properties override the default values of the
+ *     properties of this policy.
+ */
+Client.ReconnectPolicy = function ReconnectPolicy(template) {
+
+    template = template || {};
+
+    /**
+     * Reference to this ReconnectPolicy.
+     * @private
+     */
+    var policy = this;
+
+    /**
+     * The maximum number of consecutive reconnection attempts to make before
+     * giving up and disconnecting.
+     *
+     * @type {Number}
+     * @default 5
+     */
+    this.maxAttempts = "maxAttempts" in template ? template.maxAttempts : 5;
+
+    /**
+     * The delay before the first reconnection attempt, in milliseconds.
+     *
+     * @type {Number}
+     * @default 1000
+     */
+    this.initialDelay = "initialDelay" in template ? template.initialDelay : 1000;
+
+    /**
+     * The maximum delay before any reconnection attempt, in milliseconds.
+     *
+     * @type {Number}
+     * @default 30000
+     */
+    this.maxDelay = "maxDelay" in template ? template.maxDelay : 30000;
+
+    /**
+     * The factor by which the delay increases with each attempt.
+     *
+     * @type {Number}
+     * @default 2
+     */
+    this.multiplier = "multiplier" in template ? template.multiplier : 2;
+
+    /**
+     * The maximum fraction of each delay which may be randomly removed,
+     * between 0 (no jitter) and 1.
+     *
+     * @type {Number}
+     * @default 0.5
+     */
+    this.jitter = "jitter" in template ? template.jitter : 0.5;
+
+    /**
+     * Returns the delay before the given reconnection attempt, in
+     * milliseconds.
+     *
+     * @param {Number} attempt
+     *     The number of reconnection attempts already made.
+     *
+     * @returns {Number}
+     *     The number of milliseconds to wait before the next attempt.
+     */
+    this.getDelay = function getDelay(attempt) {
+
+        var delay = Math.min(policy.initialDelay * Math.pow(policy.multiplier, attempt),
+                             policy.maxDelay);
+
+        // Randomly shorten delay by up to the jitter fraction
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+
+    };
+
+    /**
+     * The name of the parameter which, when reconnecting, is set to the ID
+     * of the lost connection within the URL-encoded connect data, such that
+     * the same connection is rejoined. Any existing value of this parameter
+     * is replaced.
+     *
+     * @type {String}
+     * @default "GUAC_ID"
+     */
+    this.joinParameter = template.joinParameter || "GUAC_ID";
+
+    /**
+     * Returns the data to pass to the tunnel when reconnecting. By default,
+     * the data originally passed to connect() is reused, with the parameter
+     * named by joinParameter set to the given connection ID so that the lost
+     * connection is rejoined. If no connection ID was received, the original
+     * data is reused as-is. Applications whose tunnel endpoint expects other
+     * data should override this function.
+     *
+     * @param {String} data
+     *     The data originally passed to connect().
+     *
+     * @param {String} connectionID
+     *     The ID of the lost connection, as provided by the server through
+     *     the "ready" instruction, or null if no such ID was received.
+     *
+     * @returns {String}
+     *     The data to pass to the tunnel when reconnecting.
+     */
+    this.getConnectData = template.getConnectData || function getConnectData(data, connectionID) {
+
+        if (connectionID === null)
+            return data;
+
+        var name = encodeURIComponent(policy.joinParameter);
+
+        // Drop any existing value of the join parameter
+        var parameters = (data || "").split("&").filter(function isRetained(parameter) {
+            return parameter && parameter.split("=")[0] !== name;
+        });
+
+        parameters.push(name + "=" + encodeURIComponent(connectionID));
+        return parameters.join("&");
+
     };
 
 };
 
+/**
+ * Statistics describing the performance of a Client connection, as returned
+ * by Client.getStatistics().
+ *
+ * @constructor
+ * @param {Object} [template={}]
+ *     An object whose properties should be copied to the corresponding
+ *     properties of this Statistics object.
+ */
+Client.Statistics = function Statistics(template) {
+
+    template = template || {};
+
+    /**
+     * The average number of milliseconds between the receipt of a "sync"
+     * instruction and the completion of rendering of its frame, including
+     * time spent waiting on images to load. This is measured entirely within
+     * the client and is not network latency; it excludes the time taken for
+     * data to travel between client and server.
+     *
+     * @type {Number}
+     */
+    this.renderTime = template.renderTime || 0;
+
+    /**
+     * The most recently measured round trip time between the client and the
+     * server, in milliseconds, as measured by the tunnel from internal pings
+     * echoed back by the server, or null if the tunnel has not measured its
+     * round trip time.
+     *
+     * @type {Number}
+     */
+    this.latency = (template.latency !== undefined) ? template.latency : null;
+
+    /**
+     * The number of frames rendered per second.
+     *
+     * @type {Number}
+     */
+    this.framesPerSecond = template.framesPerSecond || 0;
+
+    /**
+     * The approximate number of bytes of protocol data received through the
+     * tunnel per second. As this is calculated from received instructions,
+     * each character of received data counts as one byte.
+     *
+     * @type {Number}
+     */
+    this.bytesPerSecond = template.bytesPerSecond || 0;
+
+    /**
+     * The number of instructions received through the tunnel per second.
+     *
+     * @type {Number}
+     */
+    this.instructionsPerSecond = template.instructionsPerSecond || 0;
+
+    /**
+     * The number of frames which have been received but not yet rendered.
+     *
+     * @type {Number}
+     */
+    this.pendingFrames = template.pendingFrames || 0;
+
+};
+
 /**
  * Map of all Guacamole binary raster operations to transfer functions.
  * @private
@@ -0,0 +1,412 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Tunnel from './Tunnel.js'
+import Status from './Status.js'
+import Parser from './Parser.js'
+
+/**
+ * Guacamole Tunnel implemented over a WebRTC data channel. The peer
+ * connection is negotiated through the given signalling function, which must
+ * deliver this tunnel's offer to the remote peer and provide the remote
+ * peer's answer. As the offer is only provided once all ICE candidates have
+ * been gathered, a single exchange is sufficient.
+ *
+ * @constructor
+ * @augments Tunnel
+ *
+ * @param {DataChannelTunnel.Signaller} signal
+ *     The function which exchanges session descriptions with the remote peer.
+ *
+ * @param {DataChannelTunnel.Options|Object} [options]
+ *     Optional settings for this tunnel. Any properties not specified take
+ *     their default values, as documented by {@link DataChannelTunnel.Options}.
+ */
+export default function DataChannelTunnel(signal, options) {
+
+    /**
+     * Reference to this data channel tunnel.
+     * @private
+     */
+    var tunnel = this;
+
+    /**
+     * The settings of this tunnel.
+     * @private
+     * @type {DataChannelTunnel.Options}
+     */
+    var config = new DataChannelTunnel.Options(options);
+
+    /**
+     * The RTCPeerConnection of the current connection, if any.
+     * @private
+     */
+    var peer = null;
+
+    /**
+     * The RTCDataChannel over which instructions are exchanged, if any.
+     * @private
+     */
+    var channel = null;
+
+    /**
+     * The current receive timeout ID, if any.
+     * @private
+     */
+    var receive_timeout = null;
+
+    /**
+     * The interval at which pings are currently being sent, if any.
+     * @private
+     */
+    var ping_interval = null;
+
+    /**
+     * The number of milliseconds between each ping sent to the server once
+     * the tunnel UUID has been received.
+     * @private
+     */
+    var PING_FREQUENCY = 500;
+
+    /**
+     * Initiates a timeout which, if data is not received, causes the tunnel
+     * to close with an error.
+     *
+     * @private
+     */
+    function reset_timeout() {
+
+        // Get rid of old timeout (if any)
+        clearTimeout(receive_timeout);
+
+        // Set new timeout
+        receive_timeout = setTimeout(function () {
+            close_tunnel(new Status(Status.Code.UPSTREAM_TIMEOUT, "Server timeout."));
+        }, tunnel.receiveTimeout);
+
+    }
+
+    /**
+     * Handles an instruction having the internal data opcode. As with
+     * WebSocketTunnel, the first such instruction received provides the UUID
+     * of the tunnel, after which pings are sent to keep the connection alive.
+     *
+     * @private
+     * @param {String[]} elements The arguments of the internal instruction.
+     */
+    function handle_internal_instruction(elements) {
+
+        if (tunnel.uuid === null && elements.length === 1) {
+
+            tunnel.setUUID(elements[0]);
+
+            // Keep the connection alive while open
+            clearInterval(ping_interval);
+            ping_interval = setInterval(function sendPing() {
+                tunnel.sendMessage(Tunnel.INTERNAL_DATA_OPCODE, "ping",
+                        new Date().getTime());
+            }, PING_FREQUENCY);
+
+        }
+
+        // Measure round trip time from each ping echoed back by the server
+        else if (elements[0] === "ping" && elements.length === 2) {
+            var sent = parseInt(elements[1]);
+            if (!isNaN(sent))
+                tunnel.setRoundTripTime(new Date().getTime() - sent);
+        }
+
+    }
+
+    /**
+     * Closes this tunnel, signaling the given status and corresponding
+     * message, which will be sent to the onerror handler if the status is
+     * an error status. The data channel and peer connection are closed.
+     *
+     * @private
+     * @param {Status} status The status causing the connection to close.
+     */
+    function close_tunnel(status) {
+
+        // Ignore if already closed
+        if (tunnel.state === Tunnel.State.CLOSED)
+            return;
+
+        // If connection closed abnormally, signal error.
+        if (status.code !== Status.Code.SUCCESS)
+            tunnel.dispatchEvent("error", status);
+
+        // Stop waiting for data and stop pinging
+        clearTimeout(receive_timeout);
+        clearInterval(ping_interval);
+
+        // Ignore any further events from the closed connection, such that
+        // they cannot affect a future connection
+        var closedChannel = channel;
+        var closedPeer = peer;
+        channel = peer = null;
+
+        if (closedChannel)
+            closedChannel.onopen = closedChannel.onclose =
+            closedChannel.onerror = closedChannel.onmessage = null;
+
+        if (closedPeer)
+            closedPeer.onconnectionstatechange =
+            closedPeer.onicegatheringstatechange = null;
+
+        // Mark as closed
+        tunnel.state = Tunnel.State.CLOSED;
+        tunnel.dispatchEvent("statechange", tunnel.state);
+
+        if (closedChannel)
+            closedChannel.close();
+
+        if (closedPeer)
+            closedPeer.close();
+
+    }
+
+    /**
+     * Returns a Promise which resolves once the given peer connection has
+     * finished gathering ICE candidates.
+     *
+     * @private
+     * @param {RTCPeerConnection} connection
+     *     The peer connection gathering ICE candidates.
+     *
+     * @return {Promise}
+     *     A Promise which resolves once gathering is complete.
+     */
+    function candidates_gathered(connection) {
+        return new Promise(function waitForCandidates(resolve) {
+
+            if (connection.iceGatheringState === "complete") {
+                resolve();
+                return;
+            }
+
+            connection.onicegatheringstatechange = function() {
+                if (connection.iceGatheringState === "complete") {
+                    connection.onicegatheringstatechange = null;
+                    resolve();
+                }
+            };
+
+        });
+    }
+
+    this.sendMessage = function(elements) {
+
+        // Do not attempt to send messages if not connected
+        if (tunnel.state !== Tunnel.State.OPEN)
+            return;
+
+        // Do not attempt to send empty messages
+        if (arguments.length === 0)
+            return;
+
+        channel.send(Parser.toInstruction(arguments));
+
+    };
+
+    this.connect = function(data) {
+
+        // Tunnel may be reconnected after being closed, in which case a new
+        // UUID will be assigned
+        tunnel.state = Tunnel.State.CONNECTING;
+        tunnel.uuid = null;
+        tunnel.roundTripTime = null;
+
+        reset_timeout();
+
+        var connection = peer = new config.RTCPeerConnection(config.configuration);
+        channel = connection.createDataChannel(config.label, config.channelOptions);
+
+        var parser = new Parser();
+        var decoder = new TextDecoder("utf-8");
+
+        // Handle internal instructions within the tunnel, passing all others
+        // to the instruction handler
+        parser.oninstruction = function instructionReceived(opcode, args) {
+            if (opcode === Tunnel.INTERNAL_DATA_OPCODE)
+                handle_internal_instruction(args);
+            else
+                tunnel.dispatchEvent("instruction", opcode, args);
+        };
+
+        channel.onopen = function(event) {
+
+            reset_timeout();
+
+            tunnel.state = Tunnel.State.OPEN;
+            tunnel.dispatchEvent("statechange", tunnel.state);
+
+        };
+
+        channel.onclose = function(event) {
+
+            // Closure before the channel is open is a failure to connect
+            if (tunnel.state === Tunnel.State.CONNECTING)
+                close_tunnel(new Status(Status.Code.UPSTREAM_ERROR, "Data channel closed before opening."));
+            else
+                close_tunnel(new Status(Status.Code.SUCCESS, "Data channel closed."));
+
+        };
+
+        channel.onerror = function(event) {
+            close_tunnel(new Status(Status.Code.SERVER_ERROR,
+                    event.error ? event.error.message : "Data channel error."));
+        };
+
+        channel.onmessage = function(event) {
+
+            reset_timeout();
+
+            // Messages may be sent as either text or binary
+            var message = event.data;
+            if (typeof message !== "string")
+                message = decoder.decode(message, { stream : true });
+
+            try {
+                parser.receive(message);
+            }
+            catch (e) {
+                close_tunnel(new Status(Status.Code.SERVER_ERROR, e.message));
+            }
+
+        };
+
+        connection.onconnectionstatechange = function() {
+            if (connection.connectionState === "failed")
+                close_tunnel(new Status(Status.Code.UPSTREAM_ERROR, "Peer connection failed."));
+        };
+
+        // Negotiate the connection with the remote peer
+        connection.createOffer()
+        .then(function offerCreated(offer) {
+            return connection.setLocalDescription(offer);
+        })
+        .then(function candidatesPending() {
+            return candidates_gathered(connection);
+        })
+        .then(function offerReady() {
+            return signal(connection.localDescription, data);
+        })
+        .then(function answerReceived(answer) {
+            if (connection === peer)
+                return connection.setRemoteDescription(answer);
+        })
+        .catch(function negotiationFailed(error) {
+
+            // Ignore failures of superseded connection attempts
+            if (connection !== peer)
+                return;
+
+            // The signalling function may describe its failure with a Status
+            if (error instanceof Status)
+                close_tunnel(error);
+            else
+                close_tunnel(new Status(Status.Code.UPSTREAM_ERROR,
+                        "Unable to negotiate peer connection."));
+
+        });
+
+    };
+
+    this.disconnect = function() {
+        close_tunnel(new Status(Status.Code.SUCCESS, "Manually closed."));
+    };
+
+};
+
+DataChannelTunnel.prototype = new Tunnel();
+
+/**
+ * Function which delivers a session description offer to the remote peer and
+ * provides the remote peer's answer. The offer includes all ICE candidates
+ * of this side of the connection. If the answer cannot be obtained, the
+ * function may throw or return a rejected Promise, optionally with a Status
+ * describing the failure.
+ *
+ * @callback DataChannelTunnel.Signaller
+ * @param {RTCSessionDescription} offer
+ *     The session description offered by this tunnel.
+ *
+ * @param {String} data
+ *     The data given when connect() was invoked, if any.
+ *
+ * @return {RTCSessionDescriptionInit|Promise}
+ *     The answer of the remote peer, or a Promise which resolves with that
+ *     answer.
+ */
+
+/**
+ * Settings which control how a DataChannelTunnel connects.
+ *
+ * @constructor
+ * @param {Object} [template={}]
+ *     An object whose properties override the default values of the
+ *     properties of these settings.
+ */
+DataChannelTunnel.Options = function Options(template) {
+
+    template = template || {};
+
+    /**
+     * The configuration of each RTCPeerConnection, such as the STUN and TURN
+     * servers to use.
+     *
+     * @type {RTCConfiguration}
+     * @default {}
+     */
+    this.configuration = template.configuration || {};
+
+    /**
+     * The label of the data channel.
+     *
+     * @type {String}
+     * @default "guacamole"
+     */
+    this.label = template.label || "guacamole";
+
+    /**
+     * The options used when creating the data channel. As instructions must
+     * be received in order and without loss, the channel must remain ordered
+     * and reliable.
+     *
+     * @type {RTCDataChannelInit}
+     * @default {}
+     */
+    this.channelOptions = template.channelOptions || {};
+
+    /**
+     * The RTCPeerConnection constructor to use, such as the implementation
+     * provided by a WebRTC library when running under Node.js, or an
+     * in-process implementation within tests. By default, the global
+     * RTCPeerConnection is used.
+     *
+     * @type {function}
+     */
+    this.RTCPeerConnection = template.RTCPeerConnection
+            || (typeof RTCPeerConnection !== "undefined" ? RTCPeerConnection : null);
+
+};
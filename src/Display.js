@@ -21,6 +21,7 @@
  */
 
 import Layer from './Layer.js'
+import ImageDecoder from './ImageDecoder.js'
 
 /**
  * The Guacamole display. The display does not deal with the Guacamole
@@ -77,6 +78,33 @@ export default function Display() {
     // Add display to bounds
     bounds.appendChild(display);
 
+    // Create overlay for the cursors of other users, hidden by default
+    var remoteCursorOverlay = document.createElement("div");
+    remoteCursorOverlay.style.position = "absolute";
+    remoteCursorOverlay.style.left = "0px";
+    remoteCursorOverlay.style.top = "0px";
+    remoteCursorOverlay.style.pointerEvents = "none";
+    remoteCursorOverlay.style.display = "none";
+    display.appendChild(remoteCursorOverlay);
+
+    /**
+     * All cursors of other users currently shown within the remote cursor
+     * overlay, indexed by arbitrary identifier.
+     *
+     * @private
+     * @type {Object.<String, Element>}
+     */
+    var remoteCursors = {};
+
+    /**
+     * The number of remote cursors created so far, used to assign each
+     * remote cursor a color.
+     *
+     * @private
+     * @type {Number}
+     */
+    var remoteCursorCount = 0;
+
     /**
      * The X coordinate of the hotspot of the mouse cursor. The hotspot is
      * the relative location within the image of the mouse cursor at which
@@ -137,6 +165,21 @@ export default function Display() {
      */
     this.oncursor = null;
 
+    /**
+     * The decoder to use for images drawn via draw() and drawBlob(), or null
+     * if images should be decoded through Image elements on the main thread.
+     * Only Blobs and data URIs are decoded with this decoder; images at other
+     * URLs are always loaded through Image elements. The order in which
+     * drawing operations take effect is unaffected. Decoded images are drawn
+     * on the main thread; layers remain backed by HTMLCanvasElement rather
+     * than OffscreenCanvas, as functions like flatten() and exportState()
+     * require canvases which can be inserted into the DOM and serialized
+     * with toDataURL().
+     *
+     * @type {ImageDecoder}
+     */
+    this.imageDecoder = null;
+
     /**
      * The queue of all pending Tasks. Tasks will be run in order, with new
      * tasks added at the end of the queue and old tasks removed from the
@@ -370,6 +413,17 @@ export default function Display() {
         return buffer;
     };
 
+    /**
+     * Returns the number of frames which have been flushed but not yet
+     * rendered, as they are waiting on blocked tasks, such as images which
+     * are still loading.
+     *
+     * @return {Number} The number of frames waiting to be rendered.
+     */
+    this.getPendingFrames = function() {
+        return frames.length;
+    };
+
     /**
      * Flush all pending draw tasks, if possible, as a new frame. If the entire
      * frame is not ready, the flush will wait until all required tasks are
@@ -475,6 +529,115 @@ export default function Display() {
 
     };
 
+    /**
+     * Sets whether the cursors of other users, as set with
+     * setRemoteCursor(), are shown above the contents of the display. Remote
+     * cursors are hidden by default.
+     *
+     * @param {Boolean} [shown=true] Whether to show the remote cursors.
+     */
+    this.showRemoteCursors = function(shown) {
+        remoteCursorOverlay.style.display = (shown === false) ? "none" : "";
+    };
+
+    /**
+     * Returns whether the cursors of other users are currently shown, as
+     * set with showRemoteCursors().
+     *
+     * @return {Boolean} true if remote cursors are shown, false otherwise.
+     */
+    this.isShowingRemoteCursors = function() {
+        return remoteCursorOverlay.style.display !== "none";
+    };
+
+    /**
+     * Sets the location and label of the cursor of another user, such as a
+     * different participant of a shared connection, creating that cursor
+     * within the remote cursor overlay if it does not yet exist. Remote
+     * cursors are only visible if enabled with showRemoteCursors(). For the
+     * sake of responsiveness, this function performs its action immediately.
+     *
+     * @param {String} id
+     *     An arbitrary identifier which uniquely identifies the remote
+     *     cursor, such as the username of the user controlling it.
+     *
+     * @param {Number} x The X coordinate to move the cursor to.
+     * @param {Number} y The Y coordinate to move the cursor to.
+     *
+     * @param {String} [label]
+     *     The human-readable label to display alongside the cursor. If
+     *     omitted, the current label is left unchanged.
+     */
+    this.setRemoteCursor = function(id, x, y, label) {
+
+        var element = remoteCursors[id];
+
+        // Create cursor if it does not yet exist
+        if (!element) {
+
+            var color = Display.REMOTE_CURSOR_COLORS[
+                remoteCursorCount++ % Display.REMOTE_CURSOR_COLORS.length];
+
+            element = remoteCursors[id] = document.createElement("div");
+            element.style.position = "absolute";
+            element.style.left = "0px";
+            element.style.top = "0px";
+            element.style.whiteSpace = "nowrap";
+
+            // Draw pointer as a triangle pointing to the cursor location
+            var pointer = document.createElement("div");
+            pointer.style.width = "0px";
+            pointer.style.height = "0px";
+            pointer.style.borderTop = "12px solid " + color;
+            pointer.style.borderRight = "8px solid transparent";
+            element.appendChild(pointer);
+
+            // Add label beneath pointer
+            var labelElement = document.createElement("span");
+            labelElement.style.display = "inline-block";
+            labelElement.style.marginLeft = "8px";
+            labelElement.style.padding = "1px 4px";
+            labelElement.style.font = "11px sans-serif";
+            labelElement.style.color = "white";
+            labelElement.style.backgroundColor = color;
+            element.appendChild(labelElement);
+
+            remoteCursorOverlay.appendChild(element);
+
+        }
+
+        // Update label, if given
+        if (label !== undefined)
+            element.lastChild.textContent = label;
+
+        // Move cursor
+        element.style.transform =
+        element.style.WebkitTransform =
+        element.style.MozTransform =
+        element.style.OTransform =
+        element.style.msTransform =
+            "translate(" + x + "px," + y + "px)";
+
+    };
+
+    /**
+     * Removes the cursor of another user having the given identifier, as
+     * previously set with setRemoteCursor(). If no such cursor exists, this
+     * function has no effect.
+     *
+     * @param {String} id
+     *     The identifier of the remote cursor to remove.
+     */
+    this.removeRemoteCursor = function(id) {
+
+        var element = remoteCursors[id];
+        if (element) {
+            remoteCursorOverlay.removeChild(element);
+            delete remoteCursors[id];
+        }
+
+    };
+
     /**
      * Changes the size of the given Layer to the given width and height.
      * Resizing is only attempted if the new size provided is actually different
@@ -527,6 +690,37 @@ export default function Display() {
         });
     };
 
+    /**
+     * Draws the image within the given Blob or data URI at the given
+     * coordinates, decoding the image using the current image decoder. This
+     * and any future operations will wait for decoding to complete. If the
+     * image cannot be decoded, nothing is drawn.
+     *
+     * @private
+     * @param {Layer} layer The layer to draw upon.
+     * @param {Number} x The destination X coordinate.
+     * @param {Number} y The destination Y coordinate.
+     * @param {Blob|String} source The Blob or data URI to decode and draw.
+     */
+    var drawDecoded = function drawDecoded(layer, x, y, source) {
+
+        var bitmap = null;
+
+        // Draw and free decoded image when ready
+        var task = scheduleTask(function __display_drawDecoded() {
+            if (bitmap) {
+                layer.drawImage(x, y, bitmap);
+                bitmap.close();
+            }
+        }, true);
+
+        guac_display.imageDecoder.decode(source, function imageDecoded(decoded) {
+            bitmap = decoded;
+            task.unblock();
+        });
+
+    };
+
     /**
      * Draws the image contained within the specified Blob at the given
      * coordinates. The Blob specified must already be populated with image
@@ -546,6 +740,12 @@ export default function Display() {
      */
     this.drawBlob = function(layer, x, y, blob) {
 
+        // Use image decoder, if any
+        if (guac_display.imageDecoder) {
+            drawDecoded(layer, x, y, blob);
+            return;
+        }
+
         // Create URL for blob
         var url = URL.createObjectURL(blob);
 
@@ -574,6 +774,12 @@ export default function Display() {
      */
     this.draw = function(layer, x, y, url) {
 
+        // Use image decoder, if any and if supported for the given URL
+        if (guac_display.imageDecoder && ImageDecoder.isDecodable(url)) {
+            drawDecoded(layer, x, y, url);
+            return;
+        }
+
         var task = scheduleTask(function __display_draw() {
             layer.drawImage(x, y, image);
         }, true);
@@ -1113,6 +1319,17 @@ export default function Display() {
 
 };
 
+/**
+ * The colors assigned, in order, to the cursors of other users shown within
+ * the remote cursor overlay.
+ *
+ * @type {String[]}
+ */
+Display.REMOTE_CURSOR_COLORS = [
+    "#E6194B", "#3CB44B", "#4363D8", "#F58231",
+    "#911EB4", "#42D4F4", "#F032E6", "#9A6324"
+];
+
 /**
  * Simple container for Layer, allowing layers to be easily
  * repositioned and nested. This allows certain operations to be accelerated
@@ -0,0 +1,162 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Adds support for any number of event listeners to an object whose events
+ * are otherwise exposed only through single "on" handler properties, such as
+ * "onstatechange". Each event is named after its handler property, without
+ * the "on" prefix (the "onstatechange" handler corresponds to the
+ * "statechange" event). Listeners receive the same arguments as the handler
+ * property and are invoked after it, in the order they were added.
+ *
+ * An object gains these functions by invoking this constructor upon itself
+ * (EventDispatcher.call(this)). The listeners themselves are stored per
+ * object, so it is safe for these functions to be inherited through a
+ * prototype, as is the case for subclasses of {@link Tunnel}.
+ *
+ * @constructor
+ */
+export default function EventDispatcher() {
+
+    /**
+     * Registers the given listener for the event having the given name. A
+     * listener which is already registered for that event is not added
+     * again.
+     *
+     * @param {String} type
+     *     The name of the event, such as "statechange".
+     *
+     * @param {function} listener
+     *     The function to invoke when the event is fired.
+     */
+    this.addEventListener = function addEventListener(type, listener) {
+
+        var listeners = getListeners(this, type);
+        if (listeners.indexOf(listener) === -1)
+            listeners.push(listener);
+
+    };
+
+    /**
+     * Unregisters the given listener from the event having the given name. If
+     * the listener is not registered for that event, this function has no
+     * effect.
+     *
+     * @param {String} type
+     *     The name of the event, such as "statechange".
+     *
+     * @param {function} listener
+     *     The listener to remove.
+     */
+    this.removeEventListener = function removeEventListener(type, listener) {
+
+        var listeners = getListeners(this, type);
+        var index = listeners.indexOf(listener);
+        if (index !== -1)
+            listeners.splice(index, 1);
+
+    };
+
+    /**
+     * Returns whether anything would be notified if the event having the
+     * given name were fired, either through the corresponding handler
+     * property or through a listener.
+     *
+     * @param {String} type
+     *     The name of the event, such as "statechange".
+     *
+     * @returns {Boolean}
+     *     true if the handler property for the given event is set or at least
+     *     one listener is registered for that event, false otherwise.
+     */
+    this.hasEventHandlers = function hasEventHandlers(type) {
+        return !!this["on" + type] || getListeners(this, type).length > 0;
+    };
+
+    /**
+     * Fires the event having the given name, invoking the corresponding
+     * handler property (if set) followed by all registered listeners. Any
+     * additional arguments are passed to the handler and to each listener.
+     *
+     * @param {String} type
+     *     The name of the event, such as "statechange".
+     *
+     * @param {...*} args
+     *     The arguments to pass to the handler and listeners.
+     *
+     * @returns {*}
+     *     The value returned by the handler property, or, if the handler
+     *     property is not set or returns undefined, the first value other
+     *     than undefined returned by a listener.
+     */
+    this.dispatchEvent = function dispatchEvent(type) {
+
+        var args = Array.prototype.slice.call(arguments, 1);
+        var result;
+
+        // Invoke handler property first
+        var handler = this["on" + type];
+        if (handler)
+            result = handler.apply(this, args);
+
+        // Invoke a snapshot of the listeners, such that listeners may safely
+        // add or remove listeners while the event is being fired
+        var listeners = getListeners(this, type).slice();
+        for (var i = 0; i < listeners.length; i++) {
+            var value = listeners[i].apply(this, args);
+            if (result === undefined)
+                result = value;
+        }
+
+        return result;
+
+    };
+
+}
+
+/**
+ * Returns the array of listeners registered on the given object for the event
+ * having the given name, creating that array if necessary.
+ *
+ * @private
+ * @param {Object} target
+ *     The object whose listeners should be returned.
+ *
+ * @param {String} type
+ *     The name of the event.
+ *
+ * @returns {function[]}
+ *     The listeners registered for the given event.
+ */
+var getListeners = function getListeners(target, type) {
+
+    // Listeners must never be shared through a prototype
+    if (!Object.prototype.hasOwnProperty.call(target, "__listeners"))
+        target.__listeners = {};
+
+    var listeners = target.__listeners;
+    if (!Object.prototype.hasOwnProperty.call(listeners, type))
+        listeners[type] = [];
+
+    return listeners[type];
+
+};
@@ -0,0 +1,504 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Tunnel from './Tunnel.js'
+import Status from './Status.js'
+import Parser from './Parser.js'
+
+/**
+ * Guacamole Tunnel implemented over HTTP via the Fetch API. This tunnel
+ * speaks the same protocol as HTTPTunnel, but reads each response as a
+ * stream, decoding only newly-received data, rather than repeatedly scanning
+ * the growing response text of an XMLHttpRequest.
+ *
+ * @constructor
+ * @augments Tunnel
+ *
+ * @param {String} tunnelURL
+ *     The URL of the HTTP tunneling service.
+ *
+ * @param {Boolean} [crossDomain=false]
+ *     Whether tunnel requests will be cross-domain, and thus must use CORS
+ *     mechanisms and headers. By default, it is assumed that tunnel requests
+ *     will be made to the same domain.
+ */
+export default function FetchTunnel(tunnelURL, crossDomain) {
+
+    /**
+     * Reference to this fetch tunnel.
+     * @private
+     */
+    var tunnel = this;
+
+    var TUNNEL_CONNECT = tunnelURL + "?connect";
+    var TUNNEL_READ    = tunnelURL + "?read:";
+    var TUNNEL_WRITE   = tunnelURL + "?write:";
+
+    /**
+     * The largest number of characters which will be sent within a single
+     * keepalive request. Browsers limit the total size of keepalive request
+     * bodies in flight to 64 KiB, and each character may require up to three
+     * bytes once encoded as UTF-8.
+     * @private
+     */
+    var KEEPALIVE_MAX_LENGTH = 16384;
+
+    /**
+     * The number of milliseconds between each ping sent to the server while
+     * the tunnel is open.
+     * @private
+     */
+    var PING_FREQUENCY = 500;
+
+    // If requests are expected to be cross-domain, the cookie that the HTTP
+    // tunnel depends on will only be sent if credentials are included
+    var credentials = crossDomain ? "include" : "same-origin";
+
+    var sendingMessages = false;
+    var outputMessageBuffer = "";
+
+    /**
+     * The AbortController governing all requests of the current connection,
+     * if any. Aborting this controller cancels every pending read and write.
+     * @private
+     */
+    var abort_controller = null;
+
+    /**
+     * The current receive timeout ID, if any.
+     * @private
+     */
+    var receive_timeout = null;
+
+    /**
+     * The interval at which pings are currently being sent, if any.
+     * @private
+     */
+    var ping_interval = null;
+
+    /**
+     * Arbitrary integer, unique for each tunnel read request.
+     * @private
+     */
+    var request_id = 0;
+
+    /**
+     * Initiates a timeout which, if data is not received, causes the tunnel
+     * to close with an error.
+     *
+     * @private
+     */
+    function reset_timeout() {
+
+        // Get rid of old timeout (if any)
+        clearTimeout(receive_timeout);
+
+        // Set new timeout
+        receive_timeout = setTimeout(function () {
+            close_tunnel(new Status(Status.Code.UPSTREAM_TIMEOUT, "Server timeout."));
+        }, tunnel.receiveTimeout);
+
+    }
+
+    /**
+     * Closes this tunnel, signaling the given status and corresponding
+     * message, which will be sent to the onerror handler if the status is
+     * an error status. All pending requests are aborted.
+     *
+     * @private
+     * @param {Status} status The status causing the connection to close.
+     */
+    function close_tunnel(status) {
+
+        // Ignore if already closed
+        if (tunnel.state === Tunnel.State.CLOSED)
+            return;
+
+        // If connection closed abnormally, signal error.
+        if (status.code !== Status.Code.SUCCESS) {
+
+            // Ignore RESOURCE_NOT_FOUND if we've already connected, as that
+            // only signals end-of-stream for the HTTP tunnel.
+            if (tunnel.state === Tunnel.State.CONNECTING
+                    || status.code !== Status.Code.RESOURCE_NOT_FOUND)
+                tunnel.dispatchEvent("error", status);
+
+        }
+
+        // Stop pinging and waiting for data
+        clearInterval(ping_interval);
+        clearTimeout(receive_timeout);
+
+        // Cancel any outstanding requests
+        if (abort_controller) {
+            abort_controller.abort();
+            abort_controller = null;
+        }
+
+        // Mark as closed
+        tunnel.state = Tunnel.State.CLOSED;
+
+        // Reset output message buffer
+        sendingMessages = false;
+        outputMessageBuffer = "";
+
+        tunnel.dispatchEvent("statechange", tunnel.state);
+
+    }
+
+    /**
+     * Closes this tunnel with the status described by the headers of the
+     * given failed response.
+     *
+     * @private
+     * @param {Response} response The unsuccessful response.
+     */
+    function handleResponseError(response) {
+
+        var code = parseInt(response.headers.get("Guacamole-Status-Code"));
+        var message = response.headers.get("Guacamole-Error-Message");
+
+        // Fall back to a generic error if the server did not say otherwise
+        if (isNaN(code))
+            code = Status.Code.SERVER_ERROR;
+
+        close_tunnel(new Status(code, message));
+
+    }
+
+    /**
+     * Returns a function which handles failure of a request made with the
+     * given AbortController. Failures caused by aborting the request are
+     * ignored, as is any failure after the connection using that controller
+     * has been superseded.
+     *
+     * @private
+     * @param {AbortController} controller
+     *     The AbortController of the connection making the request.
+     *
+     * @return {Function}
+     *     A function which accepts the reason for the failure.
+     */
+    function requestFailed(controller) {
+        return function handleFailure(error) {
+
+            // Requests are expected to fail when aborted
+            if (controller !== abort_controller || controller.signal.aborted)
+                return;
+
+            close_tunnel(new Status(Status.Code.UPSTREAM_ERROR,
+                    "Request to tunnel failed: " + error));
+
+        };
+    }
+
+    this.sendMessage = function() {
+
+        // Do not attempt to send messages if not connected
+        if (tunnel.state !== Tunnel.State.OPEN)
+            return;
+
+        // Do not attempt to send empty messages
+        if (arguments.length === 0)
+            return;
+
+        // Add message to buffer
+        outputMessageBuffer += Parser.toInstruction(arguments);
+
+        // Send if not currently sending
+        if (!sendingMessages)
+            sendPendingMessages();
+
+    };
+
+    function sendPendingMessages() {
+
+        // Do not attempt to send messages if not connected
+        if (tunnel.state !== Tunnel.State.OPEN)
+            return;
+
+        if (outputMessageBuffer.length > 0) {
+
+            sendingMessages = true;
+
+            var controller = abort_controller;
+            var message = outputMessageBuffer;
+            outputMessageBuffer = ""; // Clear buffer
+
+            // Allow small writes to complete even if the page is unloaded
+            fetch(TUNNEL_WRITE + tunnel.uuid, {
+                method      : "POST",
+                credentials : credentials,
+                headers     : { "Content-type" : "application/x-www-form-urlencoded; charset=UTF-8" },
+                body        : message,
+                keepalive   : message.length <= KEEPALIVE_MAX_LENGTH,
+                signal      : controller.signal
+            })
+            .then(function writeComplete(response) {
+
+                // Ignore responses to requests of old connections
+                if (controller !== abort_controller)
+                    return;
+
+                // If an error occurs during send, handle it
+                if (!response.ok)
+                    handleResponseError(response);
+
+                // Otherwise, continue the send loop
+                else
+                    sendPendingMessages();
+
+            }, requestFailed(controller));
+
+        }
+        else
+            sendingMessages = false;
+
+    }
+
+    /**
+     * Issues a new read request for the current connection.
+     *
+     * @private
+     * @return {Promise}
+     *     A Promise which resolves with the Response of the read request.
+     */
+    function makeRequest() {
+
+        var request = fetch(TUNNEL_READ + tunnel.uuid + ":" + (request_id++), {
+            credentials : credentials,
+            signal      : abort_controller.signal
+        });
+
+        // Handle failure immediately, as a read-ahead request is otherwise
+        // not handled until the previous response has been fully read
+        request.catch(requestFailed(abort_controller));
+
+        return request;
+
+    }
+
+    /**
+     * Reads all instructions from the response to the given read request,
+     * dispatching each as it is received. The next read request is issued as
+     * soon as this request is known to have succeeded, and is handled once
+     * this response has been fully read.
+     *
+     * @private
+     * @param {Promise} request
+     *     A Promise which resolves with the Response of the read request.
+     */
+    function handleResponse(request) {
+
+        var controller = abort_controller;
+        var nextRequest = null;
+        var reader = null;
+        var finished = false;
+
+        var decoder = new TextDecoder("utf-8");
+        var parser = new Parser();
+
+        parser.oninstruction = function instructionReceived(opcode, args) {
+
+            // An empty internal instruction marks the end of the response
+            if (opcode === Tunnel.INTERNAL_DATA_OPCODE) {
+                if (args.length === 0)
+                    finished = true;
+                return;
+            }
+
+            tunnel.dispatchEvent("instruction", opcode, args);
+
+        };
+
+        /**
+         * Parses the given data, closing the tunnel if it is not valid
+         * Guacamole protocol data.
+         *
+         * @private
+         * @param {String} data The data to parse.
+         * @return {Boolean} true if parsing succeeded, false otherwise.
+         */
+        function parse(data) {
+
+            try {
+                parser.receive(data);
+            }
+            catch (e) {
+                close_tunnel(new Status(Status.Code.SERVER_ERROR, e.message));
+                return false;
+            }
+
+            return true;
+
+        }
+
+        /**
+         * Stops reading the current response, continuing with the next.
+         *
+         * @private
+         */
+        function next() {
+
+            if (reader)
+                reader.cancel().catch(function ignoreCancelFailure() {});
+
+            handleResponse(nextRequest || makeRequest());
+
+        }
+
+        /**
+         * Handles a single chunk of data read from the response body.
+         *
+         * @private
+         * @param {Object} result The result of ReadableStreamDefaultReader.read().
+         */
+        function chunkReceived(result) {
+
+            // Do not handle responses if not connected
+            if (controller !== abort_controller || tunnel.state !== Tunnel.State.OPEN)
+                return;
+
+            reset_timeout();
+
+            // Decode only the new data, retaining any partial characters
+            // until the remainder of those characters is received
+            var data = result.done ? decoder.decode() : decoder.decode(result.value, { stream : true });
+            if (!parse(data))
+                return;
+
+            // Continue with the next request once this response is complete
+            // or has ended prematurely
+            if (finished || result.done)
+                next();
+            else
+                reader.read().then(chunkReceived, requestFailed(controller));
+
+        }
+
+        request.then(function responseReceived(response) {
+
+            // Do not handle responses if not connected
+            if (controller !== abort_controller || tunnel.state !== Tunnel.State.OPEN)
+                return;
+
+            // Halt on error during request
+            if (!response.ok) {
+                handleResponseError(response);
+                return;
+            }
+
+            reset_timeout();
+
+            // Start next request as soon as possible
+            nextRequest = makeRequest();
+
+            // Read the response as a stream if possible
+            if (response.body) {
+                reader = response.body.getReader();
+                reader.read().then(chunkReceived, requestFailed(controller));
+            }
+
+            // Otherwise, wait for the entire response
+            else
+                response.text().then(function textReceived(text) {
+                    if (controller === abort_controller && tunnel.state === Tunnel.State.OPEN && parse(text))
+                        next();
+                }, requestFailed(controller));
+
+        }, requestFailed(controller));
+
+    }
+
+    this.connect = function(data) {
+
+        // Cancel any requests of a previous connection
+        if (abort_controller)
+            abort_controller.abort();
+
+        var controller = abort_controller = new AbortController();
+
+        // Tunnel may be reconnected after being closed, in which case a new
+        // UUID will be assigned
+        tunnel.state = Tunnel.State.CONNECTING;
+        tunnel.uuid = null;
+
+        // Start waiting for connect
+        reset_timeout();
+
+        // Start tunnel and connect
+        fetch(TUNNEL_CONNECT, {
+            method      : "POST",
+            credentials : credentials,
+            headers     : { "Content-type" : "application/x-www-form-urlencoded; charset=UTF-8" },
+            body        : data,
+            signal      : controller.signal
+        })
+        .then(function connectResponseReceived(response) {
+
+            // Ignore responses to superseded connection attempts
+            if (controller !== abort_controller)
+                return;
+
+            // If failure, throw error
+            if (!response.ok) {
+                handleResponseError(response);
+                return;
+            }
+
+            return response.text().then(function uuidReceived(uuid) {
+
+                // Ignore responses to superseded connection attempts
+                if (controller !== abort_controller || tunnel.state !== Tunnel.State.CONNECTING)
+                    return;
+
+                reset_timeout();
+
+                // Get UUID from response
+                tunnel.setUUID(uuid);
+
+                tunnel.state = Tunnel.State.OPEN;
+                tunnel.dispatchEvent("statechange", tunnel.state);
+
+                // Keep the connection alive while open
+                clearInterval(ping_interval);
+                ping_interval = setInterval(function sendPing() {
+                    tunnel.sendMessage("nop");
+                }, PING_FREQUENCY);
+
+                // Start reading data
+                handleResponse(makeRequest());
+
+            });
+
+        })
+        .catch(requestFailed(controller));
+
+    };
+
+    this.disconnect = function() {
+        close_tunnel(new Status(Status.Code.SUCCESS, "Manually closed."));
+    };
+
+};
+
+FetchTunnel.prototype = new Tunnel();
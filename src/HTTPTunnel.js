@@ -44,8 +44,6 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
      */
     var tunnel = this;
 
-    var tunnel_uuid;
-
     var TUNNEL_CONNECT = tunnelURL + "?connect";
     var TUNNEL_READ    = tunnelURL + "?read:";
     var TUNNEL_WRITE   = tunnelURL + "?write:";
@@ -69,6 +67,19 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
      */
     var receive_timeout = null;
 
+    /**
+     * The interval at which pings are currently being sent, if any.
+     * @private
+     */
+    var ping_interval = null;
+
+    /**
+     * The number of milliseconds between each ping sent to the server while
+     * the tunnel is open.
+     * @private
+     */
+    var PING_FREQUENCY = 500;
+
     /**
      * Initiates a timeout which, if data is not received, causes the tunnel
      * to close with an error.
@@ -78,10 +89,10 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
     function reset_timeout() {
 
         // Get rid of old timeout (if any)
-        window.clearTimeout(receive_timeout);
+        clearTimeout(receive_timeout);
 
         // Set new timeout
-        receive_timeout = window.setTimeout(function () {
+        receive_timeout = setTimeout(function () {
             close_tunnel(new Status(Status.Code.UPSTREAM_TIMEOUT, "Server timeout."));
         }, tunnel.receiveTimeout);
 
@@ -103,24 +114,26 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
             return;
 
         // If connection closed abnormally, signal error.
-        if (status.code !== Status.Code.SUCCESS && tunnel.onerror) {
+        if (status.code !== Status.Code.SUCCESS) {
 
             // Ignore RESOURCE_NOT_FOUND if we've already connected, as that
             // only signals end-of-stream for the HTTP tunnel.
             if (tunnel.state === Tunnel.State.CONNECTING
                     || status.code !== Status.Code.RESOURCE_NOT_FOUND)
-                tunnel.onerror(status);
+                tunnel.dispatchEvent("error", status);
 
         }
 
+        // Stop pinging
+        clearInterval(ping_interval);
+
         // Mark as closed
         tunnel.state = Tunnel.State.CLOSED;
 
         // Reset output message buffer
         sendingMessages = false;
 
-        if (tunnel.onstatechange)
-            tunnel.onstatechange(tunnel.state);
+        tunnel.dispatchEvent("statechange", tunnel.state);
 
     }
 
@@ -178,7 +191,7 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
             sendingMessages = true;
 
             var message_xmlhttprequest = new XMLHttpRequest();
-            message_xmlhttprequest.open("POST", TUNNEL_WRITE + tunnel_uuid);
+            message_xmlhttprequest.open("POST", TUNNEL_WRITE + tunnel.uuid);
             message_xmlhttprequest.withCredentials = withCredentials;
             message_xmlhttprequest.setRequestHeader("Content-type", "application/x-www-form-urlencoded; charset=UTF-8");
 
@@ -309,9 +322,10 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
                             // Get opcode
                             var opcode = elements.shift();
 
-                            // Call instruction handler.
-                            if (tunnel.oninstruction)
-                                tunnel.oninstruction(opcode, elements);
+                            // Call instruction handler, ignoring any
+                            // internal instructions
+                            if (opcode !== Tunnel.INTERNAL_DATA_OPCODE)
+                                tunnel.dispatchEvent("instruction", opcode, elements);
 
                             // Clear elements
                             elements.length = 0;
@@ -409,7 +423,7 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
 
         // Make request, increment request ID
         var xmlhttprequest = new XMLHttpRequest();
-        xmlhttprequest.open("GET", TUNNEL_READ + tunnel_uuid + ":" + (request_id++));
+        xmlhttprequest.open("GET", TUNNEL_READ + tunnel.uuid + ":" + (request_id++));
         xmlhttprequest.withCredentials = withCredentials;
         xmlhttprequest.send(null);
 
@@ -419,6 +433,11 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
 
     this.connect = function(data) {
 
+        // Tunnel may be reconnected after being closed, in which case a new
+        // UUID will be assigned
+        tunnel.state = Tunnel.State.CONNECTING;
+        tunnel.uuid = null;
+
         // Start waiting for connect
         reset_timeout();
 
@@ -438,11 +457,16 @@ export default function HTTPTunnel(tunnelURL, crossDomain) {
             reset_timeout();
 
             // Get UUID from response
-            tunnel_uuid = connect_xmlhttprequest.responseText;
+            tunnel.setUUID(connect_xmlhttprequest.responseText);
 
             tunnel.state = Tunnel.State.OPEN;
-            if (tunnel.onstatechange)
-                tunnel.onstatechange(tunnel.state);
+            tunnel.dispatchEvent("statechange", tunnel.state);
+
+            // Keep the connection alive while open
+            clearInterval(ping_interval);
+            ping_interval = setInterval(function sendPing() {
+                tunnel.sendMessage("nop");
+            }, PING_FREQUENCY);
 
             // Start reading data
             handleResponse(makeRequest());
@@ -0,0 +1,499 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * A display which implements the same interface as {@link Display} but
+ * renders nothing, for use where no DOM is available, such as when running a
+ * {@link Client} under Node.js. The sizes, positions and relationships of all
+ * layers are tracked, as is the position of the mouse cursor, but all drawing
+ * operations are ignored and every flush completes immediately.
+ *
+ * @constructor
+ */
+export default function HeadlessDisplay() {
+
+    /**
+     * Reference to this HeadlessDisplay.
+     * @private
+     */
+    var guac_display = this;
+
+    /**
+     * The layer representing the entire display.
+     * @private
+     */
+    var default_layer = new HeadlessDisplay.Layer(0, 0);
+
+    /**
+     * The layer which would contain the mouse cursor image.
+     * @private
+     */
+    var cursor = new HeadlessDisplay.Layer(0, 0);
+
+    /**
+     * The current scale of the display.
+     * @private
+     */
+    var displayScale = 1;
+
+    /**
+     * The X coordinate of the hotspot of the mouse cursor.
+     *
+     * @type {Number}
+     */
+    this.cursorHotspotX = 0;
+
+    /**
+     * The Y coordinate of the hotspot of the mouse cursor.
+     *
+     * @type {Number}
+     */
+    this.cursorHotspotY = 0;
+
+    /**
+     * The current X coordinate of the mouse cursor, as last set by
+     * moveCursor().
+     *
+     * @type {Number}
+     */
+    this.cursorX = 0;
+
+    /**
+     * The current Y coordinate of the mouse cursor, as last set by
+     * moveCursor().
+     *
+     * @type {Number}
+     */
+    this.cursorY = 0;
+
+    /**
+     * Fired when the default layer (and thus the entire display) is resized.
+     *
+     * @event
+     * @param {Number} width The new width of the display.
+     * @param {Number} height The new height of the display.
+     */
+    this.onresize = null;
+
+    /**
+     * Fired whenever the cursor image is changed. As nothing is rendered, no
+     * image is provided.
+     *
+     * @event
+     * @param {HTMLCanvasElement} canvas Always null.
+     * @param {Number} x The X-coordinate of the cursor hotspot.
+     * @param {Number} y The Y-coordinate of the cursor hotspot.
+     */
+    this.oncursor = null;
+
+    /**
+     * Returns null, as no element represents a HeadlessDisplay.
+     *
+     * @return {Element} Always null.
+     */
+    this.getElement = function() {
+        return null;
+    };
+
+    /**
+     * Returns the width of this display.
+     *
+     * @return {Number} The width of this display;
+     */
+    this.getWidth = function() {
+        return default_layer.width;
+    };
+
+    /**
+     * Returns the height of this display.
+     *
+     * @return {Number} The height of this display;
+     */
+    this.getHeight = function() {
+        return default_layer.height;
+    };
+
+    /**
+     * Returns the default layer of this display.
+     *
+     * @return {HeadlessDisplay.Layer} The default layer.
+     */
+    this.getDefaultLayer = function() {
+        return default_layer;
+    };
+
+    /**
+     * Returns the cursor layer of this display.
+     *
+     * @return {HeadlessDisplay.Layer} The cursor layer.
+     */
+    this.getCursorLayer = function() {
+        return cursor;
+    };
+
+    /**
+     * Creates a new layer. The new layer will be a direct child of the
+     * default layer, but can be moved to be a child of any other layer.
+     *
+     * @return {HeadlessDisplay.Layer} The newly-created layer.
+     */
+    this.createLayer = function() {
+        var layer = new HeadlessDisplay.Layer(default_layer.width, default_layer.height);
+        layer.move(default_layer, 0, 0, 0);
+        return layer;
+    };
+
+    /**
+     * Creates a new buffer. Buffers are invisible, off-screen surfaces.
+     *
+     * @return {HeadlessDisplay.Layer} The newly-created buffer.
+     */
+    this.createBuffer = function() {
+        var buffer = new HeadlessDisplay.Layer(0, 0);
+        buffer.autosize = 1;
+        return buffer;
+    };
+
+    /**
+     * Returns the number of frames awaiting rendering, which is always zero
+     * as frames are never deferred.
+     *
+     * @returns {Number} Always zero.
+     */
+    this.getPendingFrames = function getPendingFrames() {
+        return 0;
+    };
+
+    /**
+     * Flushes all pending operations as a new frame. As nothing is rendered,
+     * the given callback is invoked immediately.
+     *
+     * @param {function} callback The function to call when this frame is
+     *                            flushed.
+     */
+    this.flush = function(callback) {
+        if (callback) callback();
+    };
+
+    /**
+     * Sets the hotspot of the mouse cursor. The cursor image itself is
+     * ignored.
+     *
+     * @param {Number} hotspotX The X coordinate of the cursor hotspot.
+     * @param {Number} hotspotY The Y coordinate of the cursor hotspot.
+     */
+    this.setCursor = function(hotspotX, hotspotY) {
+
+        guac_display.cursorHotspotX = hotspotX;
+        guac_display.cursorHotspotY = hotspotY;
+
+        // Fire cursor change event
+        if (guac_display.oncursor)
+            guac_display.oncursor(null, hotspotX, hotspotY);
+
+    };
+
+    /**
+     * Sets the location of the mouse cursor.
+     *
+     * @param {Number} x The X coordinate to move the cursor to.
+     * @param {Number} y The Y coordinate to move the cursor to.
+     */
+    this.moveCursor = function(x, y) {
+        guac_display.cursorX = x;
+        guac_display.cursorY = y;
+    };
+
+    /**
+     * Changes the size of the given layer to the given size. Resizing the
+     * default layer resizes the display and fires onresize.
+     *
+     * @param {HeadlessDisplay.Layer} layer The layer to resize.
+     * @param {Number} width The new width.
+     * @param {Number} height The new height.
+     */
+    this.resize = function(layer, width, height) {
+
+        layer.resize(width, height);
+
+        // Notify of display resize if default layer is resized
+        if (layer === default_layer && guac_display.onresize)
+            guac_display.onresize(width, height);
+
+    };
+
+    /**
+     * Sets the scale of the display. As nothing is rendered, this only
+     * affects the value returned by getScale().
+     *
+     * @param {Number} scale The scale to set, where 1.0 is normal size.
+     */
+    this.scale = function(scale) {
+        displayScale = scale;
+    };
+
+    /**
+     * Returns the scale of the display.
+     *
+     * @return {Number} The scale of the display.
+     */
+    this.getScale = function() {
+        return displayScale;
+    };
+
+    /**
+     * Returns false, as a HeadlessDisplay never shows remote cursors.
+     *
+     * @return {Boolean} Always false.
+     */
+    this.isShowingRemoteCursors = function() {
+        return false;
+    };
+
+    /**
+     * Returns null, as there is no rendered content to flatten.
+     *
+     * @return {HTMLCanvasElement} Always null.
+     */
+    this.flatten = function() {
+        return null;
+    };
+
+    // All drawing and cursor visibility operations have no effect
+    HeadlessDisplay.IGNORED_OPERATIONS.forEach(function addIgnoredOperation(name) {
+        guac_display[name] = function ignoredOperation() {};
+    });
+
+}
+
+/**
+ * The names of all {@link Display} functions which a HeadlessDisplay
+ * implements as no-ops.
+ *
+ * @private
+ * @type {String[]}
+ */
+HeadlessDisplay.IGNORED_OPERATIONS = [
+    "showCursor", "showRemoteCursors", "setRemoteCursor", "removeRemoteCursor",
+    "drawImage", "drawBlob", "draw", "play", "transfer", "put", "copy",
+    "moveTo", "lineTo", "arc", "curveTo", "close", "rect", "clip",
+    "strokeColor", "fillColor", "strokeLayer", "fillLayer", "push", "pop",
+    "reset", "setTransform", "transform", "setChannelMask", "setMiterLimit"
+];
+
+/**
+ * A layer of a HeadlessDisplay, tracking the same size, position and
+ * hierarchy as {@link Display.VisibleLayer} but with no backing canvas.
+ *
+ * @constructor
+ * @param {Number} width The width of the layer, in pixels.
+ * @param {Number} height The height of the layer, in pixels.
+ */
+HeadlessDisplay.Layer = function(width, height) {
+
+    /**
+     * Reference to this layer.
+     * @private
+     */
+    var layer = this;
+
+    /**
+     * Identifier which uniquely identifies this layer among all
+     * HeadlessDisplay layers.
+     *
+     * @private
+     * @type {Number}
+     */
+    this.__unique_id = HeadlessDisplay.Layer.__next_id++;
+
+    /**
+     * Set to true if this layer should resize itself to accommodate the
+     * dimensions of any drawing operation, and false (the default) otherwise.
+     *
+     * @type {Boolean}
+     */
+    this.autosize = false;
+
+    /**
+     * The current width of this layer.
+     * @type {Number}
+     */
+    this.width = width;
+
+    /**
+     * The current height of this layer.
+     * @type {Number}
+     */
+    this.height = height;
+
+    /**
+     * The opacity of the layer, where 255 is fully opaque and 0 is fully
+     * transparent.
+     */
+    this.alpha = 0xFF;
+
+    /**
+     * X coordinate of the upper-left corner of this layer.
+     */
+    this.x = 0;
+
+    /**
+     * Y coordinate of the upper-left corner of this layer.
+     */
+    this.y = 0;
+
+    /**
+     * Z stacking order of this layer relative to other sibling layers.
+     */
+    this.z = 0;
+
+    /**
+     * The affine transformation applied to this layer. This will be a
+     * 6-element array with the same meaning as Display.VisibleLayer.matrix.
+     *
+     * @type {Number[]}
+     */
+    this.matrix = [1, 0, 0, 1, 0, 0];
+
+    /**
+     * The parent layer container of this layer, if any.
+     * @type {HeadlessDisplay.Layer}
+     */
+    this.parent = null;
+
+    /**
+     * Set of all children of this layer, indexed by layer index.
+     */
+    this.children = {};
+
+    /**
+     * Changes the size of this layer.
+     *
+     * @param {Number} newWidth The new width to assign to this layer.
+     * @param {Number} newHeight The new height to assign to this layer.
+     */
+    this.resize = function(newWidth, newHeight) {
+        layer.width = newWidth;
+        layer.height = newHeight;
+    };
+
+    /**
+     * Returns null, as a HeadlessDisplay layer has no backing canvas.
+     *
+     * @returns {HTMLCanvasElement} Always null.
+     */
+    this.getCanvas = function() {
+        return null;
+    };
+
+    /**
+     * Returns null, as a HeadlessDisplay layer has no element.
+     *
+     * @returns {Element} Always null.
+     */
+    this.getElement = function() {
+        return null;
+    };
+
+    /**
+     * Moves the upper-left corner of this layer to the given X and Y
+     * coordinate.
+     *
+     * @param {Number} x The X coordinate to move to.
+     * @param {Number} y The Y coordinate to move to.
+     */
+    this.translate = function(x, y) {
+        layer.x = x;
+        layer.y = y;
+    };
+
+    /**
+     * Moves the upper-left corner of this layer to the given X and Y
+     * coordinate, sets the Z stacking order, and reparents this layer to the
+     * given layer.
+     *
+     * @param {HeadlessDisplay.Layer} parent The parent to set.
+     * @param {Number} x The X coordinate to move to.
+     * @param {Number} y The Y coordinate to move to.
+     * @param {Number} z The Z coordinate to move to.
+     */
+    this.move = function(parent, x, y, z) {
+
+        // Maintain relationship
+        if (layer.parent !== parent) {
+            if (layer.parent)
+                delete layer.parent.children[layer.__unique_id];
+            layer.parent = parent;
+            parent.children[layer.__unique_id] = layer;
+        }
+
+        layer.translate(x, y);
+        layer.z = z;
+
+    };
+
+    /**
+     * Sets the opacity of this layer to the given value, where 255 is fully
+     * opaque and 0 is fully transparent.
+     *
+     * @param {Number} a The opacity to set.
+     */
+    this.shade = function(a) {
+        layer.alpha = a;
+    };
+
+    /**
+     * Removes this layer from its parent layer, if any.
+     */
+    this.dispose = function() {
+        if (layer.parent) {
+            delete layer.parent.children[layer.__unique_id];
+            layer.parent = null;
+        }
+    };
+
+    /**
+     * Applies the given affine transform (defined with six values from the
+     * transform's matrix).
+     *
+     * @param {Number} a The first value in the affine transform's matrix.
+     * @param {Number} b The second value in the affine transform's matrix.
+     * @param {Number} c The third value in the affine transform's matrix.
+     * @param {Number} d The fourth value in the affine transform's matrix.
+     * @param {Number} e The fifth value in the affine transform's matrix.
+     * @param {Number} f The sixth value in the affine transform's matrix.
+     */
+    this.distort = function(a, b, c, d, e, f) {
+        layer.matrix = [a, b, c, d, e, f];
+    };
+
+};
+
+/**
+ * The next identifier to be assigned to the layer container. This identifier
+ * uniquely identifies each layer, and is used to track each layer within the
+ * hierarchy of HeadlessDisplay layers.
+ *
+ * @private
+ * @type {Number}
+ */
+HeadlessDisplay.Layer.__next_id = 0;
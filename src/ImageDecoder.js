@@ -0,0 +1,331 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Decoder which converts image data into ImageBitmap objects using
+ * createImageBitmap() within a dedicated Web Worker, such that the cost of
+ * decoding is kept off the main thread. If a worker cannot be created (for
+ * example, due to a Content Security Policy which forbids blob: workers),
+ * createImageBitmap() is instead invoked from the main thread, which still
+ * decodes asynchronously in most browsers. The same fallback is used if the
+ * worker fails to load or fails at any later point, including for any images
+ * which the worker had not yet decoded.
+ *
+ * An ImageDecoder may be assigned to {@link Display#imageDecoder} to decode
+ * all images drawn by that Display.
+ *
+ * @constructor
+ */
+export default function ImageDecoder() {
+
+    /**
+     * The worker performing all decoding, or null if decoding must occur on
+     * the main thread. The worker is created upon first use.
+     *
+     * @private
+     * @type {Worker}
+     */
+    var worker = null;
+
+    /**
+     * Whether an attempt to create the worker has already been made.
+     *
+     * @private
+     * @type {Boolean}
+     */
+    var workerCreated = false;
+
+    /**
+     * All decode requests which have been sent to the worker but not yet
+     * answered, indexed by request ID. Each request is an object having a
+     * "source" property, the image data being decoded, and a "callback"
+     * property, the function to invoke with the result.
+     *
+     * @private
+     * @type {Object.<Number, Object>}
+     */
+    var pendingRequests = {};
+
+    /**
+     * The ID to assign to the next decode request sent to the worker.
+     *
+     * @private
+     * @type {Number}
+     */
+    var nextRequestID = 0;
+
+    /**
+     * Decodes the given image data from the main thread, invoking the given
+     * callback with the resulting ImageBitmap, or with null if decoding
+     * fails.
+     *
+     * @private
+     * @param {Blob|String} source
+     *     The image data to decode, either as a Blob or as a data URI.
+     *
+     * @param {function} callback
+     *     The function to invoke with the decoded ImageBitmap, or null if
+     *     decoding failed.
+     */
+    var decodeOnMainThread = function decodeOnMainThread(source, callback) {
+        ImageDecoder._toBlob(source).then(createImageBitmap).then(
+            callback,
+            function decodeFailed() { callback(null); }
+        );
+    };
+
+    /**
+     * Removes all decode requests sent to the worker but not yet answered,
+     * as those requests will never be answered.
+     *
+     * @private
+     * @returns {Object[]}
+     *     The removed requests, each having "source" and "callback"
+     *     properties.
+     */
+    var takePendingRequests = function takePendingRequests() {
+
+        var abandoned = [];
+        for (var id in pendingRequests)
+            abandoned.push(pendingRequests[id]);
+
+        pendingRequests = {};
+        return abandoned;
+
+    };
+
+    /**
+     * Attempts to create the decoding worker, returning null if workers are
+     * unavailable or not permitted.
+     *
+     * @private
+     * @returns {Worker}
+     *     The newly-created worker, or null if no worker could be created.
+     */
+    var createWorker = function createWorker() {
+
+        if (typeof Worker === "undefined")
+            return null;
+
+        try {
+
+            var url = URL.createObjectURL(new Blob(
+                ["(" + ImageDecoder._workerMain.toString() + ")();"],
+                { "type" : "application/javascript" }
+            ));
+
+            var newWorker = new Worker(url);
+
+            // Pass each result to the callback of the corresponding request
+            newWorker.onmessage = function workerResult(e) {
+
+                // The worker source is no longer needed once the worker has
+                // loaded and announced itself
+                if (e.data.ready) {
+                    URL.revokeObjectURL(url);
+                    return;
+                }
+
+                var request = pendingRequests[e.data.id];
+                delete pendingRequests[e.data.id];
+
+                if (request)
+                    request.callback(e.data.bitmap || null);
+
+            };
+
+            // If the worker fails to load (blob: workers may be forbidden
+            // only at load time) or fails later, stop using it for good
+            newWorker.onerror = function workerFailed(e) {
+
+                if (e && e.preventDefault)
+                    e.preventDefault();
+
+                URL.revokeObjectURL(url);
+                newWorker.terminate();
+
+                if (worker === newWorker)
+                    worker = null;
+
+                // Decode anything the worker had not yet decoded from the
+                // main thread instead
+                takePendingRequests().forEach(function redecode(request) {
+                    decodeOnMainThread(request.source, request.callback);
+                });
+
+            };
+
+            return newWorker;
+
+        }
+
+        // Workers may be forbidden entirely
+        catch (e) {
+            return null;
+        }
+
+    };
+
+    /**
+     * Decodes the given image data, invoking the given callback with the
+     * resulting ImageBitmap once decoding is complete. If the image cannot be
+     * decoded, the callback is invoked with null. Regardless of the order in
+     * which decoding completes, callbacks will be invoked with the result of
+     * their own request only; it is up to the caller to maintain any required
+     * ordering.
+     *
+     * @param {Blob|String} source
+     *     The image data to decode, either as a Blob or as a data URI.
+     *
+     * @param {function} callback
+     *     The function to invoke with the decoded ImageBitmap, or null if
+     *     decoding failed.
+     */
+    this.decode = function decode(source, callback) {
+
+        if (!workerCreated) {
+            workerCreated = true;
+            worker = createWorker();
+        }
+
+        // Decode within worker if possible
+        if (worker) {
+            var id = nextRequestID++;
+            pendingRequests[id] = { "source" : source, "callback" : callback };
+            worker.postMessage({ "id" : id, "source" : source });
+            return;
+        }
+
+        // Otherwise, decode from the main thread
+        decodeOnMainThread(source, callback);
+
+    };
+
+    /**
+     * Stops the decoding worker, if any. Any decode requests still in
+     * progress will have their callbacks invoked with null. The decoder may
+     * continue to be used, and will create a new worker as needed.
+     */
+    this.terminate = function terminate() {
+
+        if (worker)
+            worker.terminate();
+
+        worker = null;
+        workerCreated = false;
+
+        // Fail any outstanding requests
+        takePendingRequests().forEach(function fail(request) {
+            request.callback(null);
+        });
+
+    };
+
+}
+
+/**
+ * Returns whether the current environment provides the APIs required for
+ * ImageDecoder, namely createImageBitmap() and Promise.
+ *
+ * @returns {Boolean}
+ *     true if ImageDecoder may be used, false otherwise.
+ */
+ImageDecoder.isSupported = function isSupported() {
+    return typeof createImageBitmap === "function"
+        && typeof Promise === "function";
+};
+
+/**
+ * Returns whether the given image source can be handled by an ImageDecoder.
+ * Blobs and data URIs are supported. Other URLs are not, as they would need
+ * to be resolved relative to the page rather than the worker.
+ *
+ * @param {Blob|String} source
+ *     The image source to test.
+ *
+ * @returns {Boolean}
+ *     true if the given source can be decoded by an ImageDecoder, false
+ *     otherwise.
+ */
+ImageDecoder.isDecodable = function isDecodable(source) {
+    return typeof source !== "string" || source.substring(0, 5) === "data:";
+};
+
+/**
+ * Converts the given Blob or data URI into a Blob.
+ *
+ * @private
+ * @param {Blob|String} source
+ *     The Blob or data URI to convert.
+ *
+ * @returns {Promise.<Blob>}
+ *     A Promise which resolves with the resulting Blob.
+ */
+ImageDecoder._toBlob = function _toBlob(source) {
+
+    if (typeof source !== "string")
+        return Promise.resolve(source);
+
+    return fetch(source).then(function getBlob(response) {
+        return response.blob();
+    });
+
+};
+
+/**
+ * The body of the decoding worker. This function is serialized into the
+ * source of the worker, and thus MUST NOT reference anything outside its own
+ * scope.
+ *
+ * @private
+ */
+ImageDecoder._workerMain = function _workerMain() {
+
+    // Announce that the worker has loaded
+    self.postMessage({ "ready" : true });
+
+    self.onmessage = function decodeRequest(e) {
+
+        var id = e.data.id;
+        var source = e.data.source;
+
+        var blob = (typeof source === "string")
+            ? fetch(source).then(function getBlob(response) { return response.blob(); })
+            : Promise.resolve(source);
+
+        blob.then(createImageBitmap).then(
+
+            // Transfer decoded image back to the main thread
+            function decoded(bitmap) {
+                self.postMessage({ "id" : id, "bitmap" : bitmap }, [ bitmap ]);
+            },
+
+            // Report failures with a null image
+            function decodeFailed() {
+                self.postMessage({ "id" : id, "bitmap" : null });
+            }
+
+        );
+
+    };
+
+};
@@ -20,6 +20,8 @@
  * THE SOFTWARE.
  */
 
+import EventDispatcher from './EventDispatcher.js'
+
 /**
  * An input stream abstraction used by the Guacamole client to facilitate
  * transfer of files or other binary data.
@@ -36,6 +38,9 @@ export default function InputStream(client, index) {
      */
     var guac_stream = this;
 
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
+
     /**
      * The index of this stream.
      * @type {Number}
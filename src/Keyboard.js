@@ -20,6 +20,8 @@
  * THE SOFTWARE.
  */
 
+import EventDispatcher from './EventDispatcher.js'
+
 /**
  * Provides cross-browser and cross-keyboard keyboard for a specific element.
  * Browser and keyboard layout variation is abstracted away, providing events
@@ -36,6 +38,9 @@ export default function Keyboard(element) {
      */
     var guac_keyboard = this;
 
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
+
     /**
      * Fired whenever the user presses a key with the element associated
      * with this Keyboard in focus.
@@ -734,8 +739,8 @@ export default function Keyboard(element) {
             guac_keyboard.pressed[keysym] = true;
 
             // Send key event
-            if (guac_keyboard.onkeydown) {
-                var result = guac_keyboard.onkeydown(keysym);
+            if (guac_keyboard.hasEventHandlers("keydown")) {
+                var result = guac_keyboard.dispatchEvent("keydown", keysym);
                 last_keydown_result[keysym] = result;
 
                 // Stop any current repeat
@@ -746,8 +751,8 @@ export default function Keyboard(element) {
                 if (!no_repeat[keysym])
                     key_repeat_timeout = window.setTimeout(function() {
                         key_repeat_interval = window.setInterval(function() {
-                            guac_keyboard.onkeyup(keysym);
-                            guac_keyboard.onkeydown(keysym);
+                            guac_keyboard.dispatchEvent("keyup", keysym);
+                            guac_keyboard.dispatchEvent("keydown", keysym);
                         }, 50);
                     }, 500);
 
@@ -778,8 +783,8 @@ export default function Keyboard(element) {
             window.clearInterval(key_repeat_interval);
 
             // Send key event
-            if (keysym !== null && guac_keyboard.onkeyup)
-                guac_keyboard.onkeyup(keysym);
+            if (keysym !== null)
+                guac_keyboard.dispatchEvent("keyup", keysym);
 
         }
 
@@ -1041,7 +1046,7 @@ export default function Keyboard(element) {
     element.addEventListener("keydown", function(e) {
 
         // Only intercept if handler set
-        if (!guac_keyboard.onkeydown) return;
+        if (!guac_keyboard.hasEventHandlers("keydown")) return;
 
         var keyCode;
         if (window.event) keyCode = window.event.keyCode;
@@ -1069,7 +1074,8 @@ export default function Keyboard(element) {
     element.addEventListener("keypress", function(e) {
 
         // Only intercept if handler set
-        if (!guac_keyboard.onkeydown && !guac_keyboard.onkeyup) return;
+        if (!guac_keyboard.hasEventHandlers("keydown")
+                && !guac_keyboard.hasEventHandlers("keyup")) return;
 
         var charCode;
         if (window.event) charCode = window.event.keyCode;
@@ -1092,7 +1098,7 @@ export default function Keyboard(element) {
     element.addEventListener("keyup", function(e) {
 
         // Only intercept if handler set
-        if (!guac_keyboard.onkeyup) return;
+        if (!guac_keyboard.hasEventHandlers("keyup")) return;
 
         e.preventDefault();
 
@@ -0,0 +1,348 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Tunnel from './Tunnel.js'
+import Status from './Status.js'
+import Parser from './Parser.js'
+
+/**
+ * One end of an in-memory pair of tunnels, intended for testing code which
+ * uses tunnels, such as Client, without a Guacamole server. Instructions
+ * sent through either end are encoded and parsed as they would be by a real
+ * tunnel and are received by the other end, optionally after a delay.
+ * Messages may be dropped and failures injected, and every instruction sent
+ * is recorded for later inspection.
+ *
+ * Constructing a LoopbackTunnel without a peer creates both ends of the
+ * pair. Typically, the constructed tunnel is given to Client, while its
+ * peer plays the part of the server.
+ *
+ * @constructor
+ * @augments Tunnel
+ *
+ * @param {LoopbackTunnel} [peer]
+ *     The other end of the pair. If omitted, a new LoopbackTunnel is created
+ *     as the other end.
+ */
+export default function LoopbackTunnel(peer) {
+
+    /**
+     * Reference to this loopback tunnel.
+     * @private
+     */
+    var tunnel = this;
+
+    /**
+     * All deliveries to the other end which have not yet taken place, in
+     * order. Each delivery is an object having a "due" property, the time
+     * the delivery should take place in milliseconds since the epoch, and a
+     * "deliver" property, the function performing the delivery.
+     * @private
+     */
+    var in_flight = [];
+
+    /**
+     * The ID of the timeout which will perform the next delivery, if any.
+     * @private
+     */
+    var delivery_timeout = null;
+
+    /**
+     * The number of messages sent by this end which should be dropped.
+     * @private
+     */
+    var drop_count = 0;
+
+    /**
+     * The other end of this pair.
+     *
+     * @type {LoopbackTunnel}
+     */
+    this.peer = peer || new LoopbackTunnel(this);
+
+    /**
+     * The number of milliseconds which must elapse before messages sent by
+     * this end, including connection requests, are received by the other
+     * end. Message order is preserved if this value changes.
+     *
+     * @type {Number}
+     */
+    this.latency = 0;
+
+    /**
+     * Every instruction sent through this end while open, in order, each as
+     * an array of its opcode followed by its arguments. Each element is
+     * converted to a string, as it would be when sent. Instructions which
+     * were dropped are included.
+     *
+     * @type {String[][]}
+     */
+    this.sent = [];
+
+    /**
+     * Schedules the given delivery to the other end, taking place once the
+     * current latency has elapsed and after all previously-scheduled
+     * deliveries.
+     *
+     * @private
+     * @param {function} deliver The function which performs the delivery.
+     */
+    function schedule(deliver) {
+
+        var due = new Date().getTime() + tunnel.latency;
+
+        // Never overtake an earlier delivery
+        if (in_flight.length)
+            due = Math.max(due, in_flight[in_flight.length - 1].due);
+
+        in_flight.push({ "due" : due, "deliver" : deliver });
+
+        if (delivery_timeout === null)
+            delivery_timeout = setTimeout(deliver_due, Math.max(0, in_flight[0].due - new Date().getTime()));
+
+    }
+
+    /**
+     * Performs all deliveries which are now due, scheduling the next
+     * delivery, if any.
+     *
+     * @private
+     */
+    function deliver_due() {
+
+        delivery_timeout = null;
+
+        var now = new Date().getTime();
+        while (in_flight.length && in_flight[0].due <= now)
+            in_flight.shift().deliver();
+
+        if (in_flight.length && delivery_timeout === null)
+            delivery_timeout = setTimeout(deliver_due, in_flight[0].due - now);
+
+    }
+
+    /**
+     * Discards all deliveries which have not yet taken place.
+     *
+     * @private
+     */
+    function cancel_deliveries() {
+        clearTimeout(delivery_timeout);
+        delivery_timeout = null;
+        in_flight = [];
+    }
+
+    /**
+     * Closes this end of the pair, signaling the given status, which will be
+     * sent to the onerror handler if the status is an error status. The
+     * other end is closed with the same status.
+     *
+     * @private
+     * @param {Status} status The status causing the connection to close.
+     */
+    function close_tunnel(status) {
+
+        // Ignore if already closed
+        if (tunnel.state === Tunnel.State.CLOSED)
+            return;
+
+        // If connection closed abnormally, signal error.
+        if (status.code !== Status.Code.SUCCESS)
+            tunnel.dispatchEvent("error", status);
+
+        cancel_deliveries();
+
+        // Mark as closed
+        tunnel.state = Tunnel.State.CLOSED;
+        tunnel.dispatchEvent("statechange", tunnel.state);
+
+        // Close the other end, too
+        tunnel.peer.fail(status);
+
+    }
+
+    this.connect = function(data) {
+
+        cancel_deliveries();
+
+        tunnel.state = Tunnel.State.CONNECTING;
+        tunnel.dispatchEvent("statechange", tunnel.state);
+
+        var other = tunnel.peer;
+
+        // Open both ends once the connection request is received
+        schedule(function deliverConnect() {
+
+            // Ignore if this end was closed in the meantime
+            if (tunnel.state !== Tunnel.State.CONNECTING)
+                return;
+
+            other.state = Tunnel.State.OPEN;
+            other.dispatchEvent("statechange", other.state);
+            other.dispatchEvent("connect", data);
+
+            // The other end may have refused the connection
+            if (tunnel.state === Tunnel.State.CONNECTING) {
+                tunnel.state = Tunnel.State.OPEN;
+                tunnel.dispatchEvent("statechange", tunnel.state);
+            }
+
+        });
+
+    };
+
+    this.disconnect = function() {
+        close_tunnel(new Status(Status.Code.SUCCESS, "Manually closed."));
+    };
+
+    this.sendMessage = function(elements) {
+
+        // Do not attempt to send messages if not connected
+        if (tunnel.state !== Tunnel.State.OPEN)
+            return;
+
+        // Do not attempt to send empty messages
+        if (arguments.length === 0)
+            return;
+
+        var message = Parser.toInstruction(arguments);
+
+        // Record instruction exactly as it would be received
+        var parser = new Parser();
+        parser.oninstruction = function instructionSent(opcode, args) {
+            tunnel.sent.push([opcode].concat(args));
+        };
+        parser.receive(message);
+
+        // Lose message if a drop was requested
+        if (drop_count > 0) {
+            drop_count--;
+            return;
+        }
+
+        var other = tunnel.peer;
+
+        schedule(function deliverMessage() {
+
+            // Only open tunnels receive instructions
+            if (other.state !== Tunnel.State.OPEN)
+                return;
+
+            var receiver = new Parser();
+            receiver.oninstruction = function instructionReceived(opcode, args) {
+                other.dispatchEvent("instruction", opcode, args);
+            };
+            receiver.receive(message);
+
+        });
+
+    };
+
+    /**
+     * Causes the given number of messages subsequently sent through this end
+     * to be lost, as if dropped by the network. Dropped messages are still
+     * recorded within {@link LoopbackTunnel#sent}.
+     *
+     * @param {Number} [count=1] The number of messages to drop.
+     */
+    this.dropNext = function dropNext(count) {
+        drop_count += (count === undefined) ? 1 : count;
+    };
+
+    /**
+     * Abnormally closes both ends of the pair, as if the connection were
+     * lost. Any messages still in flight are discarded.
+     *
+     * @param {Status} [status]
+     *     The status describing the failure, signaled through the error
+     *     event of both ends. By default, an UPSTREAM_ERROR status is used.
+     */
+    this.fail = function fail(status) {
+        close_tunnel(status || new Status(Status.Code.UPSTREAM_ERROR, "Connection lost."));
+    };
+
+    /**
+     * Immediately performs all deliveries from this end which have not yet
+     * taken place, regardless of latency.
+     *
+     * @return {Number} The number of deliveries performed.
+     */
+    this.deliver = function deliver() {
+
+        clearTimeout(delivery_timeout);
+        delivery_timeout = null;
+
+        // Deliveries are discarded if a delivery closes this end
+        var count = 0;
+        while (in_flight.length) {
+            in_flight.shift().deliver();
+            count++;
+        }
+
+        return count;
+
+    };
+
+    /**
+     * Immediately performs all pending deliveries in both directions,
+     * including any deliveries caused by those deliveries, until nothing
+     * remains in flight.
+     */
+    this.flush = function flush() {
+        while (tunnel.deliver() + tunnel.peer.deliver() > 0);
+    };
+
+    /**
+     * Returns every instruction sent through this end having the given
+     * opcode, in the order sent.
+     *
+     * @param {String} opcode The opcode of the instructions to return.
+     * @return {String[][]}
+     *     The matching instructions, each as an array of its opcode followed
+     *     by its arguments.
+     */
+    this.getSent = function getSent(opcode) {
+        return tunnel.sent.filter(function hasOpcode(instruction) {
+            return instruction[0] === opcode;
+        });
+    };
+
+    /**
+     * Forgets all instructions recorded as sent through this end.
+     */
+    this.clearSent = function clearSent() {
+        tunnel.sent = [];
+    };
+
+    /**
+     * Fired when the other end connects, once its connection request has
+     * been received. Either end may refuse the connection by invoking
+     * disconnect() or fail() from within this handler.
+     *
+     * @event
+     * @param {String} data The data given when the other end connected.
+     */
+    this.onconnect = null;
+
+};
+
+LoopbackTunnel.prototype = new Tunnel();
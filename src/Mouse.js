@@ -20,6 +20,8 @@
  * THE SOFTWARE.
  */
 
+import EventDispatcher from './EventDispatcher.js'
+
 /**
  * Provides cross-browser mouse events for a given element. The events of
  * the given element are automatically populated with handlers that translate
@@ -37,6 +39,9 @@ export default function Mouse(element) {
      */
     var guac_mouse = this;
 
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
+
     /**
      * The number of mousemove events to require before re-enabling mouse
      * event handling after receiving a touch event.
@@ -145,8 +150,7 @@ export default function Mouse(element) {
 
         guac_mouse.currentState.fromClientPosition(element, e.clientX, e.clientY);
 
-        if (guac_mouse.onmousemove)
-            guac_mouse.onmousemove(guac_mouse.currentState);
+        guac_mouse.dispatchEvent("mousemove", guac_mouse.currentState);
 
     }, false);
 
@@ -170,8 +174,7 @@ export default function Mouse(element) {
                 break;
         }
 
-        if (guac_mouse.onmousedown)
-            guac_mouse.onmousedown(guac_mouse.currentState);
+        guac_mouse.dispatchEvent("mousedown", guac_mouse.currentState);
 
     }, false);
 
@@ -195,8 +198,7 @@ export default function Mouse(element) {
                 break;
         }
 
-        if (guac_mouse.onmouseup)
-            guac_mouse.onmouseup(guac_mouse.currentState);
+        guac_mouse.dispatchEvent("mouseup", guac_mouse.currentState);
 
     }, false);
 
@@ -224,13 +226,11 @@ export default function Mouse(element) {
             guac_mouse.currentState.middle = false;
             guac_mouse.currentState.right = false;
 
-            if (guac_mouse.onmouseup)
-                guac_mouse.onmouseup(guac_mouse.currentState);
+            guac_mouse.dispatchEvent("mouseup", guac_mouse.currentState);
         }
 
         // Fire onmouseout event
-        if (guac_mouse.onmouseout)
-            guac_mouse.onmouseout();
+        guac_mouse.dispatchEvent("mouseout");
 
     }, false);
 
@@ -279,15 +279,11 @@ export default function Mouse(element) {
             // Repeatedly click the up button until insufficient delta remains
             do {
 
-                if (guac_mouse.onmousedown) {
-                    guac_mouse.currentState.up = true;
-                    guac_mouse.onmousedown(guac_mouse.currentState);
-                }
+                guac_mouse.currentState.up = true;
+                guac_mouse.dispatchEvent("mousedown", guac_mouse.currentState);
 
-                if (guac_mouse.onmouseup) {
-                    guac_mouse.currentState.up = false;
-                    guac_mouse.onmouseup(guac_mouse.currentState);
-                }
+                guac_mouse.currentState.up = false;
+                guac_mouse.dispatchEvent("mouseup", guac_mouse.currentState);
 
                 scroll_delta += guac_mouse.scrollThreshold;
 
@@ -304,15 +300,11 @@ export default function Mouse(element) {
             // Repeatedly click the down button until insufficient delta remains
             do {
 
-                if (guac_mouse.onmousedown) {
-                    guac_mouse.currentState.down = true;
-                    guac_mouse.onmousedown(guac_mouse.currentState);
-                }
+                guac_mouse.currentState.down = true;
+                guac_mouse.dispatchEvent("mousedown", guac_mouse.currentState);
 
-                if (guac_mouse.onmouseup) {
-                    guac_mouse.currentState.down = false;
-                    guac_mouse.onmouseup(guac_mouse.currentState);
-                }
+                guac_mouse.currentState.down = false;
+                guac_mouse.dispatchEvent("mouseup", guac_mouse.currentState);
 
                 scroll_delta -= guac_mouse.scrollThreshold;
 
@@ -519,6 +511,9 @@ Mouse.Touchpad = function(element) {
      */
     var guac_touchpad = this;
 
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
+
     /**
      * The distance a two-finger touch must move per scrollwheel event, in
      * pixels.
@@ -612,8 +607,7 @@ Mouse.Touchpad = function(element) {
 
                 // Fire button up event
                 guac_touchpad.currentState[button] = false;
-                if (guac_touchpad.onmouseup)
-                    guac_touchpad.onmouseup(guac_touchpad.currentState);
+                guac_touchpad.dispatchEvent("mouseup", guac_touchpad.currentState);
 
                 // Clear timeout, if set
                 if (click_release_timeout) {
@@ -629,8 +623,7 @@ Mouse.Touchpad = function(element) {
 
                 // Fire button down event
                 guac_touchpad.currentState[button] = true;
-                if (guac_touchpad.onmousedown)
-                    guac_touchpad.onmousedown(guac_touchpad.currentState);
+                guac_touchpad.dispatchEvent("mousedown", guac_touchpad.currentState);
 
                 // Delay mouse up - mouse up should be canceled if
                 // touchstart within timeout.
@@ -638,8 +631,7 @@ Mouse.Touchpad = function(element) {
 
                     // Fire button up event
                     guac_touchpad.currentState[button] = false;
-                    if (guac_touchpad.onmouseup)
-                        guac_touchpad.onmouseup(guac_touchpad.currentState);
+                    guac_touchpad.dispatchEvent("mouseup", guac_touchpad.currentState);
 
                     // Gesture now over
                     gesture_in_progress = false;
@@ -725,8 +717,7 @@ Mouse.Touchpad = function(element) {
                 guac_touchpad.currentState.y = element.offsetHeight - 1;
 
             // Fire movement event, if defined
-            if (guac_touchpad.onmousemove)
-                guac_touchpad.onmousemove(guac_touchpad.currentState);
+            guac_touchpad.dispatchEvent("mousemove", guac_touchpad.currentState);
 
             // Update touch location
             last_touch_x = touch.clientX;
@@ -747,13 +738,11 @@ Mouse.Touchpad = function(element) {
 
                 // Fire button down event
                 guac_touchpad.currentState[button] = true;
-                if (guac_touchpad.onmousedown)
-                    guac_touchpad.onmousedown(guac_touchpad.currentState);
+                guac_touchpad.dispatchEvent("mousedown", guac_touchpad.currentState);
 
                 // Fire button up event
                 guac_touchpad.currentState[button] = false;
-                if (guac_touchpad.onmouseup)
-                    guac_touchpad.onmouseup(guac_touchpad.currentState);
+                guac_touchpad.dispatchEvent("mouseup", guac_touchpad.currentState);
 
                 // Only update touch location after a scroll has been
                 // detected
@@ -786,6 +775,9 @@ Mouse.Touchscreen = function(element) {
      */
     var guac_touchscreen = this;
 
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
+
     /**
      * Whether a gesture is known to be in progress. If false, touch events
      * will be ignored.
@@ -899,8 +891,7 @@ Mouse.Touchscreen = function(element) {
     function press_button(button) {
         if (!guac_touchscreen.currentState[button]) {
             guac_touchscreen.currentState[button] = true;
-            if (guac_touchscreen.onmousedown)
-                guac_touchscreen.onmousedown(guac_touchscreen.currentState);
+            guac_touchscreen.dispatchEvent("mousedown", guac_touchscreen.currentState);
         }
     }
 
@@ -914,8 +905,7 @@ Mouse.Touchscreen = function(element) {
     function release_button(button) {
         if (guac_touchscreen.currentState[button]) {
             guac_touchscreen.currentState[button] = false;
-            if (guac_touchscreen.onmouseup)
-                guac_touchscreen.onmouseup(guac_touchscreen.currentState);
+            guac_touchscreen.dispatchEvent("mouseup", guac_touchscreen.currentState);
         }
     }
 
@@ -942,8 +932,7 @@ Mouse.Touchscreen = function(element) {
      */
     function move_mouse(x, y) {
         guac_touchscreen.currentState.fromClientPosition(element, x, y);
-        if (guac_touchscreen.onmousemove)
-            guac_touchscreen.onmousemove(guac_touchscreen.currentState);
+        guac_touchscreen.dispatchEvent("mousemove", guac_touchscreen.currentState);
     }
 
     /**
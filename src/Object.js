@@ -20,6 +20,8 @@
  * THE SOFTWARE.
  */
 
+import EventDispatcher from './EventDispatcher.js'
+
 /**
  * An object used by the Guacamole client to house arbitrarily-many named
  * input and output streams.
@@ -41,6 +43,9 @@ export default function GObject(client, index) {
      */
     var guacObject = this;
 
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
+
     /**
      * Map of stream name to corresponding queue of callbacks. The queue of
      * callbacks is guaranteed to be in order of request.
@@ -26,7 +26,7 @@
  *
  * @constructor
  */
-export default function() {
+export default function Parser() {
 
     /**
      * Reference to this parser.
@@ -155,3 +155,42 @@ export default function() {
     this.oninstruction = null;
 
 };
+
+/**
+ * Converts the given instruction elements into a single Guacamole protocol
+ * instruction, using the same length-prefixed element format used by the
+ * tunnels when sending messages.
+ *
+ * @param {Array} elements
+ *     The elements of the instruction, starting with the opcode. Each
+ *     element is converted to a string.
+ *
+ * @returns {String}
+ *     The encoded Guacamole instruction, including its final terminator.
+ */
+Parser.toInstruction = function toInstruction(elements) {
+
+    /**
+     * Converts the given value to a length/string pair for use as an
+     * element in a Guacamole instruction.
+     *
+     * @private
+     * @param value The value to convert.
+     * @return {String} The converted value.
+     */
+    function getElement(value) {
+        var string = new String(value);
+        return string.length + "." + string;
+    }
+
+    // Initialized message with first element
+    var message = getElement(elements[0]);
+
+    // Append remaining elements
+    for (var i=1; i<elements.length; i++)
+        message += "," + getElement(elements[i]);
+
+    // Final terminator
+    return message + ";";
+
+};
@@ -0,0 +1,1015 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Client from './Client.js'
+import Parser from './Parser.js'
+import Tunnel from './Tunnel.js'
+
+/**
+ * A recording of a Guacamole session. Given a Blob containing a recorded
+ * Guacamole protocol dump (a ".guac" file) or a {@link Tunnel} which provides
+ * the recorded instructions, SessionRecording exposes functions for playing,
+ * pausing and seeking within that recording. The recording is rendered to a
+ * {@link Display} using the same instruction handlers as a live
+ * {@link Client}.
+ *
+ * If a Blob is given, the recording will begin loading immediately. If a
+ * tunnel is given, the recording will begin loading once connect() is called.
+ *
+ * @constructor
+ * @param {Blob|Tunnel} source
+ *     The Blob or tunnel from which the recorded Guacamole instructions
+ *     should be read.
+ */
+export default function SessionRecording(source) {
+
+    /**
+     * Reference to this SessionRecording.
+     *
+     * @private
+     * @type {SessionRecording}
+     */
+    var recording = this;
+
+    /**
+     * The number of bytes of a recording Blob which should be read and parsed
+     * at a time.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var BLOCK_SIZE = 262144;
+
+    /**
+     * The minimum number of characters which must have been read between
+     * keyframes.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var KEYFRAME_CHAR_INTERVAL = 16384;
+
+    /**
+     * The minimum number of milliseconds which must elapse between keyframes.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var KEYFRAME_TIME_INTERVAL = 5000;
+
+    /**
+     * The maximum amount of time to spend in any particular seek operation
+     * before returning control to the main thread, in milliseconds. Seek
+     * operations exceeding this amount of time will proceed asynchronously.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var MAXIMUM_SEEK_TIME = 5;
+
+    /**
+     * All frames parsed from the recording, in order.
+     *
+     * @private
+     * @type {SessionRecording._Frame[]}
+     */
+    var frames = [];
+
+    /**
+     * All instructions which have been read since the last frame was
+     * completed by a "sync" instruction.
+     *
+     * @private
+     * @type {SessionRecording._Frame.Instruction[]}
+     */
+    var instructionBuffer = [];
+
+    /**
+     * The approximate number of characters which have been read from the
+     * recording since the most recent keyframe.
+     *
+     * @private
+     * @type {Number}
+     */
+    var frameCharacterCount = 0;
+
+    /**
+     * The index of the most recent keyframe.
+     *
+     * @private
+     * @type {Number}
+     */
+    var lastKeyframe = 0;
+
+    /**
+     * The total number of bytes (if reading from a Blob) or characters (if
+     * reading from a tunnel) of the recording which have been parsed.
+     *
+     * @private
+     * @type {Number}
+     */
+    var parsedSize = 0;
+
+    /**
+     * Whether loading of the recording has been aborted.
+     *
+     * @private
+     * @type {Boolean}
+     */
+    var aborted = false;
+
+    /**
+     * Tunnel which feeds arbitrary instructions to the client used by this
+     * SessionRecording for playback.
+     *
+     * @private
+     * @type {SessionRecording._PlaybackTunnel}
+     */
+    var playbackTunnel = new SessionRecording._PlaybackTunnel();
+
+    /**
+     * Client which replays the recording.
+     *
+     * @private
+     * @type {Client}
+     */
+    var playbackClient = new Client(playbackTunnel);
+
+    /**
+     * The current frame rendered within the playback client, or -1 if no
+     * frame has yet been rendered.
+     *
+     * @private
+     * @type {Number}
+     */
+    var currentFrame = -1;
+
+    /**
+     * The timestamp of the frame when playback began, in milliseconds. If
+     * playback is not in progress, this will be null.
+     *
+     * @private
+     * @type {Number}
+     */
+    var startVideoTimestamp = null;
+
+    /**
+     * The real-world timestamp when playback began, in milliseconds. If
+     * playback is not in progress, this will be null.
+     *
+     * @private
+     * @type {Number}
+     */
+    var startRealTimestamp = null;
+
+    /**
+     * The ID of the timeout which will continue the in-progress seek
+     * operation, if any, or null if no seek operation is in progress.
+     *
+     * @private
+     * @type {Number}
+     */
+    var seekTimeout = null;
+
+    // Start playback client connected, but with the software cursor hidden
+    // until the recording provides its position
+    playbackClient.connect();
+    playbackClient.getDisplay().showCursor(false);
+
+    playbackClient.onmouse = function showRecordedCursor() {
+        playbackClient.getDisplay().showCursor(true);
+    };
+
+    /**
+     * Handles a single instruction read from the recording, storing it within
+     * the current frame. Each "sync" instruction completes the current frame.
+     *
+     * @private
+     * @param {String} opcode
+     *     The opcode of the instruction read.
+     *
+     * @param {String[]} args
+     *     The arguments of the instruction read.
+     */
+    var handleInstruction = function handleInstruction(opcode, args) {
+
+        // Store a copy of the instruction, as the arguments array may be
+        // reused by the parser
+        var instruction = new SessionRecording._Frame.Instruction(opcode, args.slice());
+        instructionBuffer.push(instruction);
+        frameCharacterCount += instruction.getSize();
+
+        // Once a sync is received, store all instructions since the last
+        // frame as a new frame
+        if (opcode === "sync") {
+
+            var timestamp = parseInt(args[0]);
+            var frame = new SessionRecording._Frame(timestamp, instructionBuffer);
+            frames.push(frame);
+
+            // This frame should eventually become a keyframe if enough data
+            // has been processed and enough recording time has elapsed, or if
+            // this is the absolute first frame
+            if (frames.length === 1 || (frameCharacterCount >= KEYFRAME_CHAR_INTERVAL
+                    && timestamp - frames[lastKeyframe].timestamp >= KEYFRAME_TIME_INTERVAL)) {
+                frame.keyframe = true;
+                lastKeyframe = frames.length - 1;
+                frameCharacterCount = 0;
+            }
+
+            // Clear set of instructions in preparation for next frame
+            instructionBuffer = [];
+
+            // Render the first frame as soon as it is available
+            if (frames.length === 1)
+                seekToFrame(0, function firstFrameRendered() {});
+
+            // Notify that additional content is available
+            if (recording.onprogress)
+                recording.onprogress(recording.getDuration(), parsedSize);
+
+        }
+
+    };
+
+    /**
+     * Signals that loading of the recording has failed with the given
+     * message, aborting any further loading.
+     *
+     * @private
+     * @param {String} message
+     *     A human-readable message describing the failure.
+     */
+    var fail = function fail(message) {
+
+        aborted = true;
+        stopLoading();
+
+        if (recording.onerror)
+            recording.onerror(message);
+
+    };
+
+    /**
+     * Releases resources which are needed only while the recording is
+     * loading, once loading has finished for any reason. Frames which have
+     * already been loaded remain available for playback, as the playback
+     * client continues to handle instructions after disconnecting; only its
+     * periodic pings and statistics are stopped.
+     *
+     * @private
+     */
+    var stopLoading = function stopLoading() {
+        playbackClient.disconnect();
+    };
+
+    /**
+     * Reads and parses the given Blob in blocks of BLOCK_SIZE bytes, handling
+     * each instruction as it becomes available.
+     *
+     * @private
+     * @param {Blob} blob
+     *     The Blob containing the recording to read.
+     */
+    var parseBlob = function parseBlob(blob) {
+
+        var parser = new Parser();
+        var decoder = new TextDecoder("utf-8");
+        var reader = new FileReader();
+
+        var offset = 0;
+
+        parser.oninstruction = handleInstruction;
+
+        // Read the next block, or signal completion if the end of the Blob
+        // has been reached
+        var readNextBlock = function readNextBlock() {
+
+            if (aborted)
+                return;
+
+            if (offset >= blob.size) {
+                stopLoading();
+                if (recording.onload)
+                    recording.onload();
+                return;
+            }
+
+            reader.readAsArrayBuffer(blob.slice(offset, offset + BLOCK_SIZE));
+
+        };
+
+        // Parse each block once read
+        reader.onload = function blockRead() {
+
+            if (aborted)
+                return;
+
+            var buffer = reader.result;
+            offset += buffer.byteLength;
+            parsedSize = offset;
+
+            try {
+                parser.receive(decoder.decode(buffer, { stream : offset < blob.size }));
+            }
+            catch (e) {
+                fail(e.message);
+                return;
+            }
+
+            readNextBlock();
+
+        };
+
+        reader.onerror = function blockFailed() {
+            fail(reader.error ? reader.error.message : "Unable to read recording.");
+        };
+
+        readNextBlock();
+
+    };
+
+    // Begin reading immediately if recording is a Blob
+    if (source instanceof Blob)
+        parseBlob(source);
+
+    // Otherwise, read instructions from the tunnel as they arrive
+    else {
+
+        source.oninstruction = function recordingInstructionReceived(opcode, args) {
+
+            if (aborted)
+                return;
+
+            // Track amount of data received
+            parsedSize += opcode.length;
+            for (var i = 0; i < args.length; i++)
+                parsedSize += args[i].length;
+
+            handleInstruction(opcode, args);
+
+        };
+
+        source.onerror = function recordingTunnelFailed(status) {
+            fail(status.message);
+        };
+
+        source.onstatechange = function recordingTunnelStateChanged(state) {
+
+            if (state !== Tunnel.State.CLOSED)
+                return;
+
+            stopLoading();
+
+            if (!aborted && recording.onload)
+                recording.onload();
+
+        };
+
+    }
+
+    /**
+     * Searches through the given region of frames for the frame having a
+     * relative timestamp closest to the timestamp given.
+     *
+     * @private
+     * @param {Number} minIndex
+     *     The index of the first frame in the region (the frame having the
+     *     smallest timestamp).
+     *
+     * @param {Number} maxIndex
+     *     The index of the last frame in the region (the frame having the
+     *     largest timestamp).
+     *
+     * @param {Number} timestamp
+     *     The absolute timestamp to search for, in milliseconds.
+     *
+     * @returns {Number}
+     *     The index of the frame having a timestamp closest to the given
+     *     timestamp.
+     */
+    var findFrame = function findFrame(minIndex, maxIndex, timestamp) {
+
+        // Do not search if the region contains only one element
+        if (minIndex === maxIndex)
+            return minIndex;
+
+        // Split search region into two halves
+        var midIndex = Math.floor((minIndex + maxIndex) / 2);
+        var midTimestamp = frames[midIndex].timestamp;
+
+        // If timestamp is within lesser half, search again within that half
+        if (timestamp < midTimestamp && midIndex > minIndex)
+            return findFrame(minIndex, midIndex - 1, timestamp);
+
+        // If timestamp is within greater half, search again within that half
+        if (timestamp > midTimestamp && midIndex < maxIndex)
+            return findFrame(midIndex + 1, maxIndex, timestamp);
+
+        // Otherwise, we lucked out and found a frame with exactly the
+        // desired timestamp
+        return midIndex;
+
+    };
+
+    /**
+     * Replays the instructions associated with the given frame, sending those
+     * instructions to the playback client. If the frame is a keyframe whose
+     * client state has not yet been stored, that state is stored once the
+     * frame has been replayed.
+     *
+     * @private
+     * @param {Number} index
+     *     The index of the frame within the frames array which should be
+     *     replayed.
+     */
+    var replayFrame = function replayFrame(index) {
+
+        var frame = frames[index];
+
+        // Replay all instructions within the retrieved frame
+        for (var i = 0; i < frame.instructions.length; i++) {
+            var instruction = frame.instructions[i];
+            playbackTunnel.receiveInstruction(instruction.opcode, instruction.args);
+        }
+
+        // Store client state if frame is flagged as a keyframe
+        if (frame.keyframe && !frame.clientState) {
+            playbackClient.exportState(function storeClientState(state) {
+                frame.clientState = state;
+            });
+        }
+
+    };
+
+    /**
+     * Moves the playback position to the given frame, resetting the state of
+     * the playback client and replaying frames as necessary. The seek
+     * operation will proceed asynchronously. If a seek operation is already
+     * in progress, that seek is first aborted.
+     *
+     * @private
+     * @param {Number} index
+     *     The index of the frame which should become the new playback
+     *     position.
+     *
+     * @param {function} callback
+     *     The callback to invoke once the seek operation has completed.
+     *
+     * @param {Number} [delay=0]
+     *     The number of milliseconds that the seek operation should be
+     *     scheduled to take.
+     */
+    var seekToFrame = function seekToFrame(index, callback, delay) {
+
+        // Abort any in-progress seek
+        abortSeek();
+
+        // Replay frames asynchronously
+        seekTimeout = setTimeout(function continueSeek() {
+
+            var startIndex;
+
+            // Back up until startIndex represents current state
+            for (startIndex = index; startIndex >= 0; startIndex--) {
+
+                var frame = frames[startIndex];
+
+                // If we've reached the current frame, startIndex represents
+                // current state by definition
+                if (startIndex === currentFrame)
+                    break;
+
+                // If frame has associated absolute state, make that frame the
+                // current state
+                if (frame.clientState) {
+                    playbackClient.importState(frame.clientState);
+                    break;
+                }
+
+            }
+
+            // Advance to frame index after current state
+            startIndex++;
+
+            var startTime = new Date().getTime();
+
+            // Replay any applicable incremental frames, returning control to
+            // the main thread if the seek is taking too long
+            for (; startIndex <= index; startIndex++) {
+
+                if (new Date().getTime() - startTime >= MAXIMUM_SEEK_TIME)
+                    break;
+
+                replayFrame(startIndex);
+
+            }
+
+            // Current frame is now the last frame replayed
+            currentFrame = startIndex - 1;
+            seekTimeout = null;
+
+            // Notify of changes in position
+            if (recording.onseek)
+                recording.onseek(recording.getPosition());
+
+            // If the seek operation has not yet completed, schedule
+            // continuation
+            if (currentFrame !== index)
+                seekToFrame(index, callback,
+                    Math.max((delay || 0) - (new Date().getTime() - startTime), 0));
+
+            // Notify that the requested seek has completed
+            else
+                callback();
+
+        }, delay || 0);
+
+    };
+
+    /**
+     * Aborts the seek operation currently in progress, if any. If no seek
+     * operation is in progress, this function has no effect.
+     *
+     * @private
+     */
+    var abortSeek = function abortSeek() {
+        clearTimeout(seekTimeout);
+        seekTimeout = null;
+    };
+
+    /**
+     * Advances playback to the next frame in the frames array and schedules
+     * playback of the frame following that frame based on their associated
+     * timestamps. If no frames exist after the next frame, playback is paused.
+     *
+     * @private
+     */
+    var continuePlayback = function continuePlayback() {
+
+        // If frames remain after advancing, schedule next frame
+        if (currentFrame + 1 < frames.length) {
+
+            // Pull the upcoming frame
+            var next = frames[currentFrame + 1];
+
+            // Calculate the real timestamp corresponding to when the next
+            // frame begins
+            var nextRealTimestamp = next.timestamp - startVideoTimestamp + startRealTimestamp;
+
+            // Calculate the relative delay between the current time and
+            // the next frame start
+            var delay = Math.max(nextRealTimestamp - new Date().getTime(), 0);
+
+            // Advance to next frame after enough time has elapsed
+            seekToFrame(currentFrame + 1, continuePlayback, delay);
+
+        }
+
+        // Otherwise stop playback
+        else
+            recording.pause();
+
+    };
+
+    /**
+     * Fired when loading of the recording has completed and all frames are
+     * available.
+     *
+     * @event
+     */
+    this.onload = null;
+
+    /**
+     * Fired when an error occurs while loading the recording. Loading of the
+     * recording is aborted.
+     *
+     * @event
+     * @param {String} message
+     *     A human-readable message describing the error.
+     */
+    this.onerror = null;
+
+    /**
+     * Fired when new frames have become available while the recording is
+     * being loaded.
+     *
+     * @event
+     * @param {Number} duration
+     *     The new duration of the recording, in milliseconds.
+     *
+     * @param {Number} parsedSize
+     *     The number of bytes of the recording Blob parsed so far or, if the
+     *     recording is being read from a tunnel, the approximate number of
+     *     characters received so far.
+     */
+    this.onprogress = null;
+
+    /**
+     * Fired whenever playback of the recording has started.
+     *
+     * @event
+     */
+    this.onplay = null;
+
+    /**
+     * Fired whenever playback of the recording has been paused. This may
+     * happen when playback is explicitly paused with a call to pause(), or
+     * when playback is implicitly paused due to reaching the end of the
+     * recording.
+     *
+     * @event
+     */
+    this.onpause = null;
+
+    /**
+     * Fired whenever the playback position within the recording changes.
+     *
+     * @event
+     * @param {Number} position
+     *     The new position within the recording, in milliseconds.
+     */
+    this.onseek = null;
+
+    /**
+     * Connects the underlying tunnel, beginning loading of the recording. If
+     * the recording is being read from a Blob, this function has no effect.
+     *
+     * @param {String} [data]
+     *     An arbitrary string of data to send to the tunnel when connecting.
+     */
+    this.connect = function connect(data) {
+        if (!(source instanceof Blob))
+            source.connect(data);
+    };
+
+    /**
+     * Disconnects the underlying tunnel, stopping further loading of the
+     * recording. If the recording is being read from a Blob, this function
+     * has no effect.
+     */
+    this.disconnect = function disconnect() {
+        if (!(source instanceof Blob))
+            source.disconnect();
+    };
+
+    /**
+     * Aborts loading of the recording. Frames which have already been loaded
+     * remain available for playback. If the recording is being read from a
+     * tunnel, that tunnel is disconnected.
+     */
+    this.abort = function abort() {
+        if (!aborted) {
+            aborted = true;
+            recording.disconnect();
+            stopLoading();
+        }
+    };
+
+    /**
+     * Returns the underlying display of the Client used by this
+     * SessionRecording for playback. The display contains an Element which
+     * can be added to the DOM, causing the display (and thus playback of the
+     * recording) to become visible.
+     *
+     * @return {Display}
+     *     The underlying display of the Client used by this
+     *     SessionRecording for playback.
+     */
+    this.getDisplay = function getDisplay() {
+        return playbackClient.getDisplay();
+    };
+
+    /**
+     * Returns whether playback is currently in progress.
+     *
+     * @returns {Boolean}
+     *     true if playback is currently in progress, false otherwise.
+     */
+    this.isPlaying = function isPlaying() {
+        return startVideoTimestamp !== null;
+    };
+
+    /**
+     * Returns the current playback position within the recording, in
+     * milliseconds, where zero is the start of the recording.
+     *
+     * @returns {Number}
+     *     The current playback position within the recording, in
+     *     milliseconds.
+     */
+    this.getPosition = function getPosition() {
+
+        // Position is simply zero if playback has not started at all
+        if (currentFrame === -1)
+            return 0;
+
+        // Return current position as a millisecond timestamp relative to the
+        // start of the recording
+        return frames[currentFrame].timestamp - frames[0].timestamp;
+
+    };
+
+    /**
+     * Returns the duration of the recording, in milliseconds. If the
+     * recording is still being loaded, this value will gradually increase.
+     *
+     * @returns {Number}
+     *     The duration of the recording, in milliseconds.
+     */
+    this.getDuration = function getDuration() {
+
+        // If no frames yet exist, duration is zero
+        if (frames.length === 0)
+            return 0;
+
+        // Recording duration is simply the timestamp of the last frame minus
+        // the timestamp of the first frame
+        return frames[frames.length - 1].timestamp - frames[0].timestamp;
+
+    };
+
+    /**
+     * Begins continuous playback of the recording, starting from the current
+     * position. If playback is already in progress, or the end of the
+     * loaded recording has been reached, this function has no effect.
+     */
+    this.play = function play() {
+
+        // Only play if not already playing and frames remain
+        if (!recording.isPlaying() && currentFrame + 1 < frames.length) {
+
+            // Notify that playback is starting
+            if (recording.onplay)
+                recording.onplay();
+
+            // Store timestamp of playback start for relative scheduling of
+            // future frames
+            var next = frames[currentFrame + 1];
+            startVideoTimestamp = next.timestamp;
+            startRealTimestamp = new Date().getTime();
+
+            // Begin playback of video
+            continuePlayback();
+
+        }
+
+    };
+
+    /**
+     * Seeks to the given position within the recording. If the recording is
+     * currently being played back, playback will continue after the seek is
+     * performed. If the recording is paused, playback will be paused after
+     * the seek is performed.
+     *
+     * @param {Number} position
+     *     The position within the recording to seek to, in milliseconds.
+     *
+     * @param {function} [callback]
+     *     The callback to invoke once the seek operation has completed.
+     */
+    this.seek = function seek(position, callback) {
+
+        // Do not seek if no frames exist
+        if (frames.length === 0)
+            return;
+
+        // Pause playback, preserving playback state
+        var originallyPlaying = recording.isPlaying();
+        recording.pause();
+
+        // Perform seek
+        var index = findFrame(0, frames.length - 1, frames[0].timestamp + position);
+        seekToFrame(index, function restorePlaybackState() {
+
+            // Restore playback state
+            if (originallyPlaying)
+                recording.play();
+
+            // Notify that seek has completed
+            if (callback)
+                callback();
+
+        });
+
+    };
+
+    /**
+     * Pauses playback of the recording, if playback is currently in progress.
+     * If playback is not in progress, this function has no effect. Any seek
+     * operation in progress is aborted.
+     */
+    this.pause = function pause() {
+
+        // Abort any in-progress seek / playback
+        abortSeek();
+
+        // Stop playback only if playback is in progress
+        if (recording.isPlaying()) {
+
+            // Notify that playback is stopping
+            if (recording.onpause)
+                recording.onpause();
+
+            // Playback is stopped
+            startVideoTimestamp = null;
+            startRealTimestamp = null;
+
+        }
+
+    };
+
+};
+
+/**
+ * A single frame of Guacamole session data. Each frame is made up of the set
+ * of instructions used to generate that frame, and the timestamp as dictated
+ * by the "sync" instruction terminating the frame. Optionally, a frame may
+ * also be associated with a snapshot of Guacamole client state, such that the
+ * frame can be rendered without replaying all previous frames.
+ *
+ * @private
+ * @constructor
+ * @param {Number} timestamp
+ *     The timestamp of this frame, as dictated by the "sync" instruction which
+ *     terminates the frame.
+ *
+ * @param {SessionRecording._Frame.Instruction[]} instructions
+ *     All instructions which are necessary to generate this frame relative to
+ *     the previous frame in the recording.
+ */
+SessionRecording._Frame = function _Frame(timestamp, instructions) {
+
+    /**
+     * Whether this frame should be used as a keyframe if possible. This value
+     * is purely advisory. The stored clientState must eventually be manually
+     * set for the frame to be used as a keyframe. By default, frames are not
+     * keyframes.
+     *
+     * @type {Boolean}
+     * @default false
+     */
+    this.keyframe = false;
+
+    /**
+     * The timestamp of this frame, as dictated by the "sync" instruction which
+     * terminates the frame.
+     *
+     * @type {Number}
+     */
+    this.timestamp = timestamp;
+
+    /**
+     * All instructions which are necessary to generate this frame relative to
+     * the previous frame in the recording.
+     *
+     * @type {SessionRecording._Frame.Instruction[]}
+     */
+    this.instructions = instructions;
+
+    /**
+     * A snapshot of client state after this frame was rendered, as returned
+     * by a call to exportState(). If no such snapshot has been taken, this
+     * will be null.
+     *
+     * @type {Object}
+     * @default null
+     */
+    this.clientState = null;
+
+};
+
+/**
+ * A Guacamole protocol instruction. Each Guacamole protocol instruction is
+ * made up of an opcode and set of arguments.
+ *
+ * @private
+ * @constructor
+ * @param {String} opcode
+ *     The opcode of this Guacamole instruction.
+ *
+ * @param {String[]} args
+ *     All arguments associated with this Guacamole instruction.
+ */
+SessionRecording._Frame.Instruction = function Instruction(opcode, args) {
+
+    /**
+     * Reference to this SessionRecording._Frame.Instruction.
+     *
+     * @private
+     * @type {SessionRecording._Frame.Instruction}
+     */
+    var instruction = this;
+
+    /**
+     * The opcode of this Guacamole instruction.
+     *
+     * @type {String}
+     */
+    this.opcode = opcode;
+
+    /**
+     * All arguments associated with this Guacamole instruction.
+     *
+     * @type {String[]}
+     */
+    this.args = args;
+
+    /**
+     * Returns the approximate number of characters which make up this
+     * instruction. This value is only approximate as it excludes the length
+     * prefixes and various delimiters used by the Guacamole protocol; only
+     * the content of the opcode and each argument is taken into account.
+     *
+     * @returns {Number}
+     *     The approximate size of this instruction, in characters.
+     */
+    this.getSize = function getSize() {
+
+        // Init with length of opcode
+        var size = instruction.opcode.length;
+
+        // Add length of all arguments
+        for (var i = 0; i < instruction.args.length; i++)
+            size += instruction.args[i].length;
+
+        return size;
+
+    };
+
+};
+
+/**
+ * A read-only tunnel which passes along all instructions given to it via
+ * receiveInstruction(). Messages sent through this tunnel are ignored. This
+ * tunnel is used by SessionRecording to feed recorded instructions to the
+ * Client used for playback.
+ *
+ * @private
+ * @constructor
+ * @augments Tunnel
+ */
+SessionRecording._PlaybackTunnel = function _PlaybackTunnel() {
+
+    /**
+     * Reference to this SessionRecording._PlaybackTunnel.
+     *
+     * @private
+     * @type {SessionRecording._PlaybackTunnel}
+     */
+    var tunnel = this;
+
+    this.connect = function connect(data) {
+        // Do nothing
+    };
+
+    this.sendMessage = function sendMessage(elements) {
+        // Do nothing
+    };
+
+    this.disconnect = function disconnect() {
+        // Do nothing
+    };
+
+    /**
+     * Fires this tunnel's "instruction" event, notifying users of this
+     * tunnel (such as a Client instance) that an instruction has been
+     * received. If nothing is listening for that event, this function has no
+     * effect.
+     *
+     * @param {String} opcode
+     *     The opcode of the Guacamole instruction.
+     *
+     * @param {String[]} args
+     *     All arguments associated with this Guacamole instruction.
+     */
+    this.receiveInstruction = function receiveInstruction(opcode, args) {
+        tunnel.dispatchEvent("instruction", opcode, args);
+    };
+
+};
+
+SessionRecording._PlaybackTunnel.prototype = new Tunnel();
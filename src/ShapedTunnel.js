@@ -0,0 +1,381 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Tunnel from './Tunnel.js'
+import Parser from './Parser.js'
+
+/**
+ * Guacamole Tunnel which wraps another tunnel, imposing the bandwidth,
+ * latency, jitter and burstiness of a constrained network link upon all
+ * instructions sent and received, and counting the bytes transferred. This
+ * allows the behavior of Client and the surrounding application to be
+ * observed under poor network conditions without a network emulator.
+ *
+ * Instructions are never reordered. State changes and errors of the wrapped
+ * tunnel are not delayed themselves, but are not reported until all
+ * previously received instructions have been delivered.
+ *
+ * @constructor
+ * @augments Tunnel
+ *
+ * @param {Tunnel} tunnel
+ *     The tunnel to wrap.
+ *
+ * @param {ShapedTunnel.Options|Object} [options]
+ *     Optional settings for this tunnel. Any properties not specified take
+ *     their default values, as documented by {@link ShapedTunnel.Options}.
+ */
+export default function ShapedTunnel(tunnel, options) {
+
+    /**
+     * Reference to this shaped tunnel.
+     * @private
+     */
+    var shaped_tunnel = this;
+
+    /**
+     * The link carrying messages to the wrapped tunnel.
+     * @private
+     * @type {Link}
+     */
+    var uplink = new Link(function getUploadBandwidth() {
+        return shaped_tunnel.options.uploadBandwidth;
+    });
+
+    /**
+     * The link carrying instructions and events from the wrapped tunnel.
+     * @private
+     * @type {Link}
+     */
+    var downlink = new Link(function getDownloadBandwidth() {
+        return shaped_tunnel.options.downloadBandwidth;
+    });
+
+    /**
+     * The shaping currently applied. Changes to these settings take effect
+     * for all subsequently sent or received messages.
+     *
+     * @type {ShapedTunnel.Options}
+     */
+    this.options = new ShapedTunnel.Options(options);
+
+    /**
+     * The total number of bytes sent through the wrapped tunnel, measured as
+     * the size of each encoded instruction in UTF-8.
+     *
+     * @type {Number}
+     */
+    this.bytesSent = 0;
+
+    /**
+     * The total number of bytes received from the wrapped tunnel, measured
+     * as the size of each encoded instruction in UTF-8.
+     *
+     * @type {Number}
+     */
+    this.bytesReceived = 0;
+
+    /**
+     * Returns the number of bytes required to represent the given
+     * instruction in UTF-8.
+     *
+     * @private
+     * @param {Array} elements
+     *     The elements of the instruction, starting with the opcode.
+     *
+     * @return {Number} The size of the encoded instruction, in bytes.
+     */
+    function get_size(elements) {
+        return new TextEncoder().encode(Parser.toInstruction(elements)).length;
+    }
+
+    /**
+     * A single direction of a simulated network link. Messages are
+     * transmitted one at a time at the current bandwidth, after which they
+     * are delayed by the current latency plus a random amount of jitter,
+     * and, if bursts are enabled, held until the next burst.
+     *
+     * @private
+     * @constructor
+     * @param {function} getBandwidth
+     *     A function which returns the current bandwidth of this link, in
+     *     bytes per second, or 0 if bandwidth is unlimited.
+     */
+    function Link(getBandwidth) {
+
+        /**
+         * All messages which have not yet been delivered, in order. Each
+         * message is an object having an "arrival" property, the time the
+         * message should be delivered in milliseconds since the epoch, and a
+         * "deliver" property, the function performing the delivery.
+         * @private
+         */
+        var queue = [];
+
+        /**
+         * The time at which the link will have finished transmitting all
+         * queued messages, in milliseconds since the epoch.
+         * @private
+         */
+        var available = 0;
+
+        /**
+         * The ID of the timeout which will perform the next delivery, if
+         * any.
+         * @private
+         */
+        var timeout = null;
+
+        /**
+         * Performs all deliveries which are now due, scheduling the next
+         * delivery, if any.
+         *
+         * @private
+         */
+        function deliver_due() {
+
+            timeout = null;
+
+            var now = new Date().getTime();
+            while (queue.length && queue[0].arrival <= now)
+                queue.shift().deliver();
+
+            if (queue.length && timeout === null)
+                timeout = setTimeout(deliver_due, queue[0].arrival - now);
+
+        }
+
+        /**
+         * Queues the given message for delivery.
+         *
+         * @param {Number} size
+         *     The size of the message in bytes. Messages of zero size, such
+         *     as state changes, are neither delayed nor subject to bandwidth
+         *     limits, but are still delivered after all prior messages.
+         *
+         * @param {function} deliver
+         *     The function which delivers the message.
+         */
+        this.send = function send(size, deliver) {
+
+            var config = shaped_tunnel.options;
+            var now = new Date().getTime();
+            var arrival = now;
+
+            if (size > 0) {
+
+                // Transmit after all previously-queued messages, taking as
+                // long as the current bandwidth requires
+                var bandwidth = getBandwidth();
+                available = Math.max(available, now);
+                if (bandwidth > 0)
+                    available += size * 1000 / bandwidth;
+
+                arrival = available + config.latency + Math.random() * config.jitter;
+
+                // Hold until the next burst, if bursts are enabled
+                if (config.burstInterval > 0)
+                    arrival = Math.ceil(arrival / config.burstInterval) * config.burstInterval;
+
+            }
+
+            // Never overtake an earlier message
+            if (queue.length)
+                arrival = Math.max(arrival, queue[queue.length - 1].arrival);
+
+            queue.push({ "arrival" : arrival, "deliver" : deliver });
+
+            if (timeout === null)
+                timeout = setTimeout(deliver_due, Math.max(0, queue[0].arrival - now));
+
+        };
+
+        /**
+         * Discards all messages which have not yet been delivered.
+         */
+        this.clear = function clear() {
+            clearTimeout(timeout);
+            timeout = null;
+            queue = [];
+            available = 0;
+        };
+
+    }
+
+    // Pass instructions received by the wrapped tunnel through the downlink
+    tunnel.addEventListener("instruction", function instructionReceived(opcode, args) {
+
+        // The wrapped tunnel may reuse its array of arguments
+        var elements = [opcode].concat(args);
+        var size = get_size(elements);
+
+        downlink.send(size, function deliverInstruction() {
+            shaped_tunnel.bytesReceived += size;
+            shaped_tunnel.dispatchEvent("instruction", elements[0], elements.slice(1));
+        });
+
+    });
+
+    // Report state changes once all prior instructions are delivered
+    tunnel.addEventListener("statechange", function stateChanged(state) {
+        downlink.send(0, function deliverStateChange() {
+
+            // Drop anything still in flight once closed
+            if (state === Tunnel.State.CLOSED)
+                uplink.clear();
+
+            shaped_tunnel.state = state;
+            shaped_tunnel.dispatchEvent("statechange", state);
+
+        });
+    });
+
+    tunnel.addEventListener("error", function errorReceived(status) {
+        downlink.send(0, function deliverError() {
+            shaped_tunnel.dispatchEvent("error", status);
+        });
+    });
+
+    tunnel.addEventListener("uuid", function uuidReceived(uuid) {
+        downlink.send(0, function deliverUUID() {
+            shaped_tunnel.setUUID(uuid);
+        });
+    });
+
+    // Report the round trip time of the wrapped tunnel, which does not
+    // include any simulated latency
+    tunnel.addEventListener("roundtrip", function roundTripMeasured(roundTripTime) {
+        downlink.send(0, function deliverRoundTrip() {
+            shaped_tunnel.setRoundTripTime(roundTripTime);
+        });
+    });
+
+    this.connect = function(data) {
+
+        uplink.clear();
+        downlink.clear();
+
+        shaped_tunnel.uuid = null;
+        shaped_tunnel.roundTripTime = null;
+        shaped_tunnel.state = Tunnel.State.CONNECTING;
+
+        tunnel.connect(data);
+
+    };
+
+    this.disconnect = function() {
+
+        // Anything not yet received is lost
+        downlink.clear();
+
+        // Close only once all messages already sent have been transferred,
+        // such as a "disconnect" instruction sent just prior
+        uplink.send(0, function deliverDisconnect() {
+            tunnel.disconnect();
+        });
+
+    };
+
+    this.sendMessage = function(elements) {
+
+        // Do not attempt to send messages if not connected
+        if (shaped_tunnel.state !== Tunnel.State.OPEN)
+            return;
+
+        // Do not attempt to send empty messages
+        if (arguments.length === 0)
+            return;
+
+        var message = Array.prototype.slice.call(arguments);
+        var size = get_size(message);
+
+        uplink.send(size, function deliverMessage() {
+            shaped_tunnel.bytesSent += size;
+            tunnel.sendMessage.apply(tunnel, message);
+        });
+
+    };
+
+};
+
+ShapedTunnel.prototype = new Tunnel();
+
+/**
+ * Settings which describe the network link simulated by a ShapedTunnel.
+ *
+ * @constructor
+ * @param {Object} [template={}]
+ *     An object whose properties override the default values of the
+ *     properties of these settings.
+ */
+ShapedTunnel.Options = function Options(template) {
+
+    template = template || {};
+
+    /**
+     * The maximum rate at which data is sent, in bytes per second, or 0 if
+     * sending is not limited.
+     *
+     * @type {Number}
+     * @default 0
+     */
+    this.uploadBandwidth = template.uploadBandwidth || 0;
+
+    /**
+     * The maximum rate at which data is received, in bytes per second, or 0
+     * if receiving is not limited.
+     *
+     * @type {Number}
+     * @default 0
+     */
+    this.downloadBandwidth = template.downloadBandwidth || 0;
+
+    /**
+     * The number of milliseconds added to the time taken for each message to
+     * travel in either direction.
+     *
+     * @type {Number}
+     * @default 0
+     */
+    this.latency = template.latency || 0;
+
+    /**
+     * The maximum number of additional milliseconds, chosen at random for
+     * each message, added to the latency.
+     *
+     * @type {Number}
+     * @default 0
+     */
+    this.jitter = template.jitter || 0;
+
+    /**
+     * The interval between bursts, in milliseconds. If nonzero, messages are
+     * held until the next burst and then delivered together, as happens with
+     * links that buffer traffic. If zero, each message is delivered as soon
+     * as it arrives.
+     *
+     * @type {Number}
+     * @default 0
+     */
+    this.burstInterval = template.burstInterval || 0;
+
+};
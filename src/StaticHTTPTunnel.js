@@ -0,0 +1,441 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Tunnel from './Tunnel.js'
+import Status from './Status.js'
+import Parser from './Parser.js'
+
+/**
+ * Read-only Guacamole Tunnel which downloads a Guacamole protocol dump, such
+ * as a session recording, over HTTP. Instructions are provided as they are
+ * received, optionally paced by the timestamps of their "sync" instructions,
+ * such that a normal Client can display the recording. Any messages sent
+ * over this tunnel are ignored. The tunnel closes once the entire file has
+ * been provided.
+ *
+ * @constructor
+ * @augments Tunnel
+ *
+ * @param {String} url
+ *     The URL of the Guacamole protocol dump to download.
+ *
+ * @param {Boolean} [crossDomain=false]
+ *     Whether the download will be cross-domain, and thus must use CORS
+ *     mechanisms and headers. By default, it is assumed that the file is
+ *     served from the same domain.
+ *
+ * @param {StaticHTTPTunnel.Options|Object} [options]
+ *     Optional settings for this tunnel. Any properties not specified take
+ *     their default values, as documented by {@link StaticHTTPTunnel.Options}.
+ */
+export default function StaticHTTPTunnel(url, crossDomain, options) {
+
+    /**
+     * Reference to this tunnel.
+     * @private
+     */
+    var tunnel = this;
+
+    /**
+     * The settings of this tunnel.
+     * @private
+     * @type {StaticHTTPTunnel.Options}
+     */
+    var config = new StaticHTTPTunnel.Options(options);
+
+    /**
+     * The AbortController of the current download, if any.
+     * @private
+     */
+    var abort_controller = null;
+
+    /**
+     * All received instructions which have not yet been provided, in order,
+     * each as an array of its opcode followed by its arguments.
+     * @private
+     */
+    var pending = [];
+
+    /**
+     * Whether the entire file has been received.
+     * @private
+     */
+    var complete = false;
+
+    /**
+     * The ID of the timeout which will resume playback once the next "sync"
+     * instruction is due, if any.
+     * @private
+     */
+    var play_timeout = null;
+
+    /**
+     * The function which resumes reading the file, if reading has been
+     * paused because too many instructions are waiting for playback, or null
+     * if reading is not paused.
+     * @private
+     */
+    var paused_read = null;
+
+    /**
+     * The timestamp of the first "sync" instruction provided, or null if no
+     * "sync" instruction has yet been provided.
+     * @private
+     */
+    var first_sync = null;
+
+    /**
+     * The local time at which the first "sync" instruction was provided, in
+     * milliseconds since the epoch.
+     * @private
+     */
+    var first_sync_time = null;
+
+    /**
+     * Converts the given HTTP status code into the closest Guacamole status
+     * code.
+     *
+     * @private
+     * @param {Number} httpStatus The HTTP status code to convert.
+     * @return {Number} The corresponding Guacamole status code.
+     */
+    function get_status_code(httpStatus) {
+        switch (httpStatus) {
+            case 401: return Status.Code.CLIENT_UNAUTHORIZED;
+            case 403: return Status.Code.CLIENT_FORBIDDEN;
+            case 404: return Status.Code.RESOURCE_NOT_FOUND;
+            default:  return Status.Code.UPSTREAM_ERROR;
+        }
+    }
+
+    /**
+     * Closes this tunnel, signaling the given status and corresponding
+     * message, which will be sent to the onerror handler if the status is
+     * an error status. Any download in progress is aborted.
+     *
+     * @private
+     * @param {Status} status The status causing the connection to close.
+     */
+    function close_tunnel(status) {
+
+        // Ignore if already closed
+        if (tunnel.state === Tunnel.State.CLOSED)
+            return;
+
+        // If connection closed abnormally, signal error.
+        if (status.code !== Status.Code.SUCCESS)
+            tunnel.dispatchEvent("error", status);
+
+        // Stop downloading and providing instructions
+        clearTimeout(play_timeout);
+        pending = [];
+        paused_read = null;
+
+        if (abort_controller) {
+            abort_controller.abort();
+            abort_controller = null;
+        }
+
+        // Mark as closed
+        tunnel.state = Tunnel.State.CLOSED;
+        tunnel.dispatchEvent("statechange", tunnel.state);
+
+    }
+
+    /**
+     * Resumes reading the file if reading was paused and playback has since
+     * caught up such that no more than the maximum number of instructions
+     * are pending.
+     *
+     * @private
+     */
+    function resume_read() {
+
+        var read = paused_read;
+        if (read && pending.length <= config.maxPending) {
+            paused_read = null;
+            read();
+        }
+
+    }
+
+    /**
+     * Provides all pending instructions via the instruction event, in order.
+     * If "sync" timing is respected, playback pauses until each "sync"
+     * instruction is due relative to the first. Once all instructions of the
+     * file have been provided, the tunnel is closed.
+     *
+     * @private
+     */
+    function play() {
+
+        play_timeout = null;
+
+        while (pending.length && tunnel.state === Tunnel.State.OPEN) {
+
+            var instruction = pending[0];
+            var opcode = instruction[0];
+
+            // Wait until the next frame is due, if respecting sync timing
+            if (config.respectSync && opcode === "sync") {
+
+                var timestamp = parseInt(instruction[1]);
+                var now = new Date().getTime();
+
+                if (first_sync === null) {
+                    first_sync = timestamp;
+                    first_sync_time = now;
+                }
+
+                var delay = first_sync_time + (timestamp - first_sync) - now;
+                if (delay > 0) {
+                    play_timeout = setTimeout(play, delay);
+                    resume_read();
+                    return;
+                }
+
+            }
+
+            pending.shift();
+            tunnel.dispatchEvent("instruction", opcode, instruction.slice(1));
+
+        }
+
+        resume_read();
+
+        // Close once everything has been provided
+        if (complete && !pending.length)
+            close_tunnel(new Status(Status.Code.SUCCESS, "End of file."));
+
+    }
+
+    /**
+     * Parses the given data, queuing all complete instructions for playback.
+     * The tunnel is closed if the data is not valid Guacamole protocol data.
+     *
+     * @private
+     * @param {Parser} parser The parser of the current download.
+     * @param {String} data The data to parse.
+     */
+    function receive(parser, data) {
+
+        try {
+            parser.receive(data);
+        }
+        catch (e) {
+            close_tunnel(new Status(Status.Code.SERVER_ERROR, e.message));
+            return;
+        }
+
+        // Continue playback unless waiting for the next frame
+        if (play_timeout === null)
+            play();
+
+    }
+
+    this.sendMessage = function(elements) {
+        // Do nothing
+    };
+
+    this.connect = function(data) {
+
+        // Cancel any previous download
+        if (abort_controller)
+            abort_controller.abort();
+
+        var controller = abort_controller = new AbortController();
+
+        tunnel.state = Tunnel.State.CONNECTING;
+
+        pending = [];
+        paused_read = null;
+        complete = false;
+        first_sync = first_sync_time = null;
+
+        var parser = new Parser();
+        var decoder = new TextDecoder("utf-8");
+
+        // Queue all instructions other than internal instructions
+        parser.oninstruction = function instructionReceived(opcode, args) {
+            if (opcode !== Tunnel.INTERNAL_DATA_OPCODE)
+                pending.push([opcode].concat(args));
+        };
+
+        /**
+         * Handles failure of the download, ignoring failures caused by the
+         * download being aborted.
+         *
+         * @private
+         * @param {Error} error The reason for the failure.
+         */
+        function downloadFailed(error) {
+            if (controller === abort_controller && !controller.signal.aborted)
+                close_tunnel(new Status(Status.Code.UPSTREAM_ERROR,
+                        "Unable to download file: " + error));
+        }
+
+        fetch(url, {
+            credentials : crossDomain ? "include" : "same-origin",
+            headers     : config.headers,
+            signal      : controller.signal
+        })
+        .then(function responseReceived(response) {
+
+            // Ignore responses to superseded downloads
+            if (controller !== abort_controller)
+                return;
+
+            if (!response.ok) {
+                close_tunnel(new Status(get_status_code(response.status),
+                        "Unable to download file: HTTP " + response.status));
+                return;
+            }
+
+            tunnel.state = Tunnel.State.OPEN;
+            tunnel.dispatchEvent("statechange", tunnel.state);
+
+            var length = 0;
+            var total = parseInt(response.headers.get("Content-Length"));
+            if (isNaN(total))
+                total = null;
+
+            var reader = response.body.getReader();
+
+            /**
+             * Reads the next chunk of data from the response body.
+             *
+             * @private
+             */
+            function read_next() {
+                reader.read().then(chunkReceived, downloadFailed);
+            }
+
+            /**
+             * Handles a single chunk of data read from the response body.
+             *
+             * @private
+             * @param {Object} result The result of ReadableStreamDefaultReader.read().
+             */
+            function chunkReceived(result) {
+
+                // Ignore data from superseded downloads
+                if (controller !== abort_controller || tunnel.state !== Tunnel.State.OPEN)
+                    return;
+
+                // Provide any remaining data once the entire file is received
+                if (result.done) {
+                    complete = true;
+                    receive(parser, decoder.decode());
+                    return;
+                }
+
+                length += result.value.length;
+                tunnel.dispatchEvent("progress", length, total);
+
+                receive(parser, decoder.decode(result.value, { stream : true }));
+
+                // Stop reading while playback is waiting for the next frame
+                // and too many instructions are already pending, resuming
+                // once playback catches up
+                if (play_timeout !== null && pending.length > config.maxPending)
+                    paused_read = read_next;
+                else
+                    read_next();
+
+            }
+
+            read_next();
+
+        })
+        .catch(downloadFailed);
+
+    };
+
+    this.disconnect = function() {
+        close_tunnel(new Status(Status.Code.SUCCESS, "Manually closed."));
+    };
+
+    /**
+     * Fired whenever data of the file is received.
+     *
+     * @event
+     * @param {Number} length
+     *     The number of bytes received thus far.
+     *
+     * @param {Number} total
+     *     The total size of the file in bytes, or null if the server did not
+     *     provide the size of the file.
+     */
+    this.onprogress = null;
+
+};
+
+StaticHTTPTunnel.prototype = new Tunnel();
+
+/**
+ * Settings which control how a StaticHTTPTunnel downloads and provides the
+ * file.
+ *
+ * @constructor
+ * @param {Object} [template={}]
+ *     An object whose properties override the default values of the
+ *     properties of these settings.
+ */
+StaticHTTPTunnel.Options = function Options(template) {
+
+    template = template || {};
+
+    /**
+     * Whether instructions should be provided in real time, pausing before
+     * each "sync" instruction until the time given by its timestamp has
+     * elapsed relative to the first. If false, instructions are provided as
+     * soon as they are received.
+     *
+     * @type {Boolean}
+     * @default false
+     */
+    this.respectSync = !!template.respectSync;
+
+    /**
+     * The maximum number of received instructions which may be waiting for
+     * playback before reading of the file is paused. Reading resumes once
+     * playback catches up. If 0, reading is paused whenever playback is
+     * waiting for the next frame. This only has an effect if respectSync is
+     * true, as instructions are otherwise provided as soon as they are
+     * received.
+     *
+     * @type {Number}
+     * @default 10000
+     */
+    this.maxPending = (template.maxPending !== undefined) ? template.maxPending : 10000;
+
+    /**
+     * Additional HTTP headers to include in the download request, as an
+     * object whose properties are header names and whose values are header
+     * values.
+     *
+     * @type {Object.<String, String>}
+     * @default {}
+     */
+    this.headers = template.headers || {};
+
+};
@@ -0,0 +1,301 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Mouse from './Mouse.js'
+
+/**
+ * Provides cross-browser multi-touch events for a given element. Unlike
+ * {@link Mouse.Touchscreen}, which translates touches into emulated mouse
+ * events, each touch is tracked individually, including its contact area and
+ * pressure, such that multi-touch gestures can be forwarded to the remote
+ * desktop with Client.sendTouchState().
+ *
+ * @constructor
+ * @param {Element} element The Element to use to provide touch events.
+ */
+export default function Touch(element) {
+
+    /**
+     * Reference to this Touch.
+     * @private
+     */
+    var guac_touch = this;
+
+    /**
+     * The default radius of the contact area of each touch, in CSS pixels,
+     * used if the browser does not report the actual contact area. As with
+     * the radii reported by the browser, this is independent of the pixel
+     * density of the display.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var DEFAULT_CONTACT_RADIUS = 16;
+
+    /**
+     * The states of all current touches, indexed by the identifier assigned
+     * to each touch by the browser.
+     *
+     * @type {Object.<Number, Touch.State>}
+     */
+    this.touches = {};
+
+    /**
+     * The number of touches currently in contact with the element associated
+     * with this Touch.
+     *
+     * @type {Number}
+     */
+    this.activeTouches = 0;
+
+    /**
+     * Fired whenever a new touch contacts the element associated with this
+     * Touch.
+     *
+     * @event
+     * @param {Touch.State} state The state of the new touch.
+     */
+    this.ontouchstart = null;
+
+    /**
+     * Fired whenever an existing touch moves, or its contact area or pressure
+     * changes.
+     *
+     * @event
+     * @param {Touch.State} state The current state of the touch.
+     */
+    this.ontouchmove = null;
+
+    /**
+     * Fired whenever an existing touch is released or canceled. The force of
+     * the provided state will be zero.
+     *
+     * @event
+     * @param {Touch.State} state The final state of the touch.
+     */
+    this.ontouchend = null;
+
+    /**
+     * Updates the given state from the properties of the given browser touch
+     * object.
+     *
+     * @private
+     * @param {Touch.State} state The state to update.
+     * @param {Object} touch The browser touch object to read from.
+     */
+    function update_state(state, touch) {
+        state.fromClientPosition(element, touch.clientX, touch.clientY);
+        state.radiusX = touch.radiusX || DEFAULT_CONTACT_RADIUS;
+        state.radiusY = touch.radiusY || DEFAULT_CONTACT_RADIUS;
+        state.angle   = touch.rotationAngle || 0.0;
+        state.force   = touch.force || 1.0;
+    }
+
+    element.addEventListener("touchstart", function(e) {
+
+        e.preventDefault();
+
+        for (var i = 0; i < e.changedTouches.length; i++) {
+
+            var touch = e.changedTouches[i];
+            var identifier = touch.identifier;
+
+            // Ignore touches which are already tracked
+            if (guac_touch.touches[identifier])
+                continue;
+
+            var state = guac_touch.touches[identifier] = new Touch.State(identifier);
+            update_state(state, touch);
+            guac_touch.activeTouches++;
+
+            if (guac_touch.ontouchstart)
+                guac_touch.ontouchstart(state);
+
+        }
+
+    }, false);
+
+    element.addEventListener("touchmove", function(e) {
+
+        e.preventDefault();
+
+        for (var i = 0; i < e.changedTouches.length; i++) {
+
+            var touch = e.changedTouches[i];
+
+            // Ignore touches which are not tracked
+            var state = guac_touch.touches[touch.identifier];
+            if (!state)
+                continue;
+
+            update_state(state, touch);
+
+            if (guac_touch.ontouchmove)
+                guac_touch.ontouchmove(state);
+
+        }
+
+    }, false);
+
+    /**
+     * Handles the release or cancellation of touches, removing each from the
+     * set of tracked touches.
+     *
+     * @private
+     * @param {TouchEvent} e The touchend or touchcancel event.
+     */
+    function release_touches(e) {
+
+        e.preventDefault();
+
+        for (var i = 0; i < e.changedTouches.length; i++) {
+
+            var touch = e.changedTouches[i];
+            var identifier = touch.identifier;
+
+            // Ignore touches which are not tracked
+            var state = guac_touch.touches[identifier];
+            if (!state)
+                continue;
+
+            // Touch no longer exerts any pressure
+            state.fromClientPosition(element, touch.clientX, touch.clientY);
+            state.force = 0.0;
+
+            delete guac_touch.touches[identifier];
+            guac_touch.activeTouches--;
+
+            if (guac_touch.ontouchend)
+                guac_touch.ontouchend(state);
+
+        }
+
+    }
+
+    element.addEventListener("touchend",    release_touches, false);
+    element.addEventListener("touchcancel", release_touches, false);
+
+};
+
+/**
+ * Simple container for properties describing the state of a single touch.
+ *
+ * @constructor
+ * @param {Number} id
+ *     An arbitrary integer ID which uniquely identifies this touch relative
+ *     to other active touches.
+ *
+ * @param {Number} [x=0] The X position of the touch in pixels.
+ * @param {Number} [y=0] The Y position of the touch in pixels.
+ *
+ * @param {Number} [radiusX=0]
+ *     The horizontal radius of the ellipse covering the contact area of the
+ *     touch, in pixels.
+ *
+ * @param {Number} [radiusY=0]
+ *     The vertical radius of the ellipse covering the contact area of the
+ *     touch, in pixels.
+ *
+ * @param {Number} [angle=0]
+ *     The rotation of the contact area ellipse, in degrees.
+ *
+ * @param {Number} [force=0]
+ *     The pressure of the touch, from 0 (released) to 1 (maximum pressure).
+ */
+Touch.State = function(id, x, y, radiusX, radiusY, angle, force) {
+
+    /**
+     * Reference to this Touch.State.
+     * @private
+     */
+    var guac_state = this;
+
+    /**
+     * An arbitrary integer ID which uniquely identifies this touch relative
+     * to other active touches.
+     * @type {Number}
+     */
+    this.id = id;
+
+    /**
+     * The current X position of the touch.
+     * @type {Number}
+     */
+    this.x = x || 0;
+
+    /**
+     * The current Y position of the touch.
+     * @type {Number}
+     */
+    this.y = y || 0;
+
+    /**
+     * The horizontal radius of the ellipse covering the contact area of the
+     * touch, in pixels.
+     * @type {Number}
+     */
+    this.radiusX = radiusX || 0;
+
+    /**
+     * The vertical radius of the ellipse covering the contact area of the
+     * touch, in pixels.
+     * @type {Number}
+     */
+    this.radiusY = radiusY || 0;
+
+    /**
+     * The rotation of the contact area ellipse, in degrees.
+     * @type {Number}
+     */
+    this.angle = angle || 0;
+
+    /**
+     * The pressure of the touch, from 0 to 1, where 0 indicates that the
+     * touch has been released.
+     * @type {Number}
+     */
+    this.force = force || 0;
+
+    /**
+     * Updates the position represented within this state object by the given
+     * element and clientX/clientY coordinates (commonly available within event
+     * objects). Position is translated from clientX/clientY (relative to
+     * viewport) to element-relative coordinates.
+     *
+     * @param {Element} element The element the coordinates should be relative
+     *                          to.
+     * @param {Number} clientX The X coordinate to translate, viewport-relative.
+     * @param {Number} clientY The Y coordinate to translate, viewport-relative.
+     */
+    this.fromClientPosition = function(element, clientX, clientY) {
+
+        // Translate using the same logic as mouse positions
+        var position = new Mouse.State(0, 0);
+        position.fromClientPosition(element, clientX, clientY);
+
+        guac_state.x = position.x;
+        guac_state.y = position.y;
+
+    };
+
+};
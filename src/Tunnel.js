@@ -21,6 +21,7 @@
  */
 
 import Status from './Status.js'
+import EventDispatcher from './EventDispatcher.js'
 
 /**
  * Core object providing abstract communication for Guacamole. This object
@@ -33,6 +34,11 @@ import Status from './Status.js'
  */
 export default function Tunnel() {
 
+    // Allow any number of listeners for each event. As tunnel
+    // implementations inherit from Tunnel through their prototype, listeners
+    // are nonetheless stored per tunnel.
+    EventDispatcher.call(this);
+
     /**
      * Connect to the tunnel with the given optional data. This data is
      * typically used for authentication. The format of data accepted is
@@ -100,8 +106,78 @@ export default function Tunnel() {
      */
     this.oninstruction = null;
 
+    /**
+     * The UUID uniquely identifying this tunnel, as assigned by the server,
+     * or null if no UUID has yet been received. This UUID is also used by
+     * the server to identify the tunnel within its logs.
+     *
+     * @type {String}
+     */
+    this.uuid = null;
+
+    /**
+     * Fired when the UUID of this tunnel is received from the server.
+     *
+     * @event
+     * @param {String} uuid The UUID of the tunnel.
+     */
+    this.onuuid = null;
+
+    /**
+     * Sets the UUID of this tunnel, firing the uuid event. This function is
+     * intended for use by tunnel implementations.
+     *
+     * @param {String} uuid The UUID assigned to this tunnel.
+     */
+    this.setUUID = function setUUID(uuid) {
+        this.uuid = uuid;
+        this.dispatchEvent("uuid", uuid);
+    };
+
+    /**
+     * The most recently measured round trip time of this tunnel, in
+     * milliseconds, or null if no round trip time has been measured. Tunnels
+     * which send internal pings measure the time taken for each ping to be
+     * echoed back by the server.
+     *
+     * @type {Number}
+     */
+    this.roundTripTime = null;
+
+    /**
+     * Fired whenever the round trip time of this tunnel is measured.
+     *
+     * @event
+     * @param {Number} roundTripTime
+     *     The measured round trip time, in milliseconds.
+     */
+    this.onroundtrip = null;
+
+    /**
+     * Sets the most recently measured round trip time of this tunnel, firing
+     * the roundtrip event. This function is intended for use by tunnel
+     * implementations.
+     *
+     * @param {Number} roundTripTime
+     *     The measured round trip time, in milliseconds.
+     */
+    this.setRoundTripTime = function setRoundTripTime(roundTripTime) {
+        this.roundTripTime = roundTripTime;
+        this.dispatchEvent("roundtrip", roundTripTime);
+    };
+
 };
 
+/**
+ * The opcode of instructions used internally by tunnel implementations, such
+ * as the instruction which provides the tunnel UUID, or pings. Instructions
+ * having this opcode are handled by the tunnel itself and are never passed
+ * on through the instruction event.
+ *
+ * @type {String}
+ */
+Tunnel.INTERNAL_DATA_OPCODE = "";
+
 /**
  * All possible tunnel states.
  */
@@ -0,0 +1,532 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import Tunnel from './Tunnel.js'
+import Status from './Status.js'
+import EventDispatcher from './EventDispatcher.js'
+
+/**
+ * Carries any number of logical tunnels over a single underlying tunnel,
+ * such as a WebSocketTunnel, so that many connections can share one
+ * WebSocket. Each logical tunnel behaves as a normal Tunnel and can be
+ * given to Client as-is.
+ *
+ * Every instruction of a logical tunnel is sent over the underlying tunnel
+ * with the ID of its channel prepended as an additional first element. For
+ * example, the "sync" instruction "4.sync,4.1234;" is sent over channel 3 as
+ * "1.3,4.sync,4.1234;". Channel IDs are always numeric, and channels are
+ * controlled using the following instructions, which are not associated
+ * with any channel:
+ *
+ * "open,ID,DATA" (sent by this side) requests that the channel having the
+ * given ID be connected using the given connect data. "open,ID[,UUID]"
+ * (sent by the other side) confirms that the channel is open, optionally
+ * providing its UUID. "close,ID,CODE,MESSAGE" (sent by either side) closes
+ * the channel with the given Guacamole status code and message.
+ *
+ * The underlying tunnel is connected when the first logical tunnel connects
+ * and disconnected once no logical tunnels remain. If the underlying tunnel
+ * closes, all logical tunnels close with it. A reference implementation of
+ * the other side is provided by {@link TunnelMultiplexer.Demultiplexer}.
+ *
+ * @constructor
+ * @param {Tunnel} tunnel
+ *     The underlying tunnel which should carry all logical tunnels.
+ *
+ * @param {String} [data]
+ *     The data to pass to connect() of the underlying tunnel, if any.
+ */
+export default function TunnelMultiplexer(tunnel, data) {
+
+    /**
+     * All channels which are connecting or open, by channel ID. Each channel
+     * is an object having a "tunnel" property, the logical tunnel of that
+     * channel, and "open" and "close" properties, the functions which update
+     * the state of that logical tunnel.
+     * @private
+     */
+    var channels = {};
+
+    /**
+     * The ID which will be assigned to the next channel.
+     * @private
+     */
+    var next_id = 1;
+
+    /**
+     * Whether the underlying tunnel has been connected and has not since
+     * closed.
+     * @private
+     */
+    var active = false;
+
+    /**
+     * All instructions which were sent while the underlying tunnel was still
+     * connecting, each as an array of elements, in the order sent.
+     * @private
+     */
+    var pending = [];
+
+    /**
+     * The error most recently reported by the underlying tunnel, if any.
+     * @private
+     */
+    var last_error = null;
+
+    /**
+     * Sends the instruction having the given elements over the underlying
+     * tunnel, connecting the underlying tunnel if necessary. If the
+     * underlying tunnel is not yet open, the instruction is sent once it
+     * opens.
+     *
+     * @private
+     * @param {Array} elements The elements of the instruction to send.
+     */
+    function send(elements) {
+
+        if (active && tunnel.state === Tunnel.State.OPEN) {
+            tunnel.sendMessage.apply(tunnel, elements);
+            return;
+        }
+
+        pending.push(elements);
+
+        if (!active) {
+            active = true;
+            tunnel.connect(data);
+        }
+
+    }
+
+    /**
+     * Removes the channel having the given ID, disconnecting the underlying
+     * tunnel if no channels remain.
+     *
+     * @private
+     * @param {String} id The ID of the channel to remove.
+     */
+    function remove_channel(id) {
+
+        delete channels[id];
+
+        for (var remaining in channels)
+            return;
+
+        if (active) {
+            active = false;
+            pending = [];
+            tunnel.disconnect();
+        }
+
+    }
+
+    /**
+     * A logical tunnel carried over the underlying tunnel.
+     *
+     * @private
+     * @constructor
+     * @augments Tunnel
+     */
+    function Channel() {
+
+        /**
+         * Reference to this logical tunnel.
+         * @private
+         */
+        var channel = this;
+
+        /**
+         * The ID of the channel of the current connection, or null if not
+         * connected.
+         * @private
+         */
+        var id = null;
+
+        /**
+         * Closes this logical tunnel, signaling the given status, which will
+         * be sent to the onerror handler if the status is an error status.
+         *
+         * @private
+         * @param {Status} status The status causing the channel to close.
+         */
+        function close_channel(status) {
+
+            // Ignore if already closed
+            if (channel.state === Tunnel.State.CLOSED)
+                return;
+
+            var closedID = id;
+            id = null;
+
+            // If connection closed abnormally, signal error.
+            if (status.code !== Status.Code.SUCCESS)
+                channel.dispatchEvent("error", status);
+
+            channel.state = Tunnel.State.CLOSED;
+            channel.dispatchEvent("statechange", channel.state);
+
+            if (closedID !== null)
+                remove_channel(closedID);
+
+        }
+
+        /**
+         * Marks this logical tunnel as open, as confirmed by the other side.
+         *
+         * @private
+         * @param {String} [uuid] The UUID of the channel, if provided.
+         */
+        function open_channel(uuid) {
+
+            if (channel.state !== Tunnel.State.CONNECTING)
+                return;
+
+            if (uuid)
+                channel.setUUID(uuid);
+
+            channel.state = Tunnel.State.OPEN;
+            channel.dispatchEvent("statechange", channel.state);
+
+        }
+
+        this.connect = function(data) {
+
+            // Any previous connection is abandoned
+            if (id !== null) {
+                send(["close", id, Status.Code.SUCCESS, "Reconnecting."]);
+                delete channels[id];
+            }
+
+            id = String(next_id++);
+            channels[id] = {
+                "tunnel" : channel,
+                "open"   : open_channel,
+                "close"  : close_channel
+            };
+
+            channel.state = Tunnel.State.CONNECTING;
+            channel.uuid = null;
+
+            send(["open", id, data || ""]);
+
+        };
+
+        this.disconnect = function() {
+
+            if (id !== null && channel.state !== Tunnel.State.CLOSED)
+                send(["close", id, Status.Code.SUCCESS, "Manually closed."]);
+
+            close_channel(new Status(Status.Code.SUCCESS, "Manually closed."));
+
+        };
+
+        this.sendMessage = function(elements) {
+
+            // Do not attempt to send messages if not connected
+            if (channel.state !== Tunnel.State.OPEN)
+                return;
+
+            // Do not attempt to send empty messages
+            if (arguments.length === 0)
+                return;
+
+            send([id].concat(Array.prototype.slice.call(arguments)));
+
+        };
+
+    }
+
+    Channel.prototype = new Tunnel();
+
+    // Send anything queued once the underlying tunnel opens, and close all
+    // channels if it closes
+    tunnel.addEventListener("statechange", function stateChanged(state) {
+
+        if (state === Tunnel.State.OPEN) {
+
+            var queued = pending;
+            pending = [];
+
+            for (var i = 0; i < queued.length; i++)
+                tunnel.sendMessage.apply(tunnel, queued[i]);
+
+        }
+
+        else if (state === Tunnel.State.CLOSED) {
+
+            var status = last_error || new Status(Status.Code.UPSTREAM_ERROR,
+                    "Multiplexed tunnel closed.");
+
+            active = false;
+            pending = [];
+            last_error = null;
+
+            for (var id in channels)
+                channels[id].close(status);
+
+        }
+
+    });
+
+    tunnel.addEventListener("error", function errorReceived(status) {
+        last_error = status;
+    });
+
+    // Route each instruction to its channel
+    tunnel.addEventListener("instruction", function instructionReceived(opcode, args) {
+
+        var channel = channels[args[0]];
+
+        if (opcode === "open") {
+            if (channel)
+                channel.open(args[1]);
+        }
+
+        else if (opcode === "close") {
+            if (channel)
+                channel.close(new Status(parseInt(args[1]), args[2]));
+        }
+
+        else {
+            channel = channels[opcode];
+            if (channel && channel.tunnel.state === Tunnel.State.OPEN)
+                channel.tunnel.dispatchEvent("instruction", args[0], args.slice(1));
+        }
+
+    });
+
+    /**
+     * Creates a new logical tunnel carried over the underlying tunnel. The
+     * logical tunnel is assigned a channel when connected.
+     *
+     * @return {Tunnel} A new logical tunnel.
+     */
+    this.createTunnel = function createTunnel() {
+        return new Channel();
+    };
+
+};
+
+/**
+ * Reference implementation of the side of a TunnelMultiplexer connection
+ * which accepts channels, normally implemented by the server. Given a
+ * tunnel receiving the instructions sent by a TunnelMultiplexer, such as
+ * the peer of a {@link LoopbackTunnel}, a logical tunnel is provided through
+ * the channel event for each channel opened. This allows multiplexed
+ * connections to be tested without a server.
+ *
+ * @constructor
+ * @param {Tunnel} tunnel
+ *     The tunnel receiving the instructions sent by the TunnelMultiplexer.
+ */
+TunnelMultiplexer.Demultiplexer = function Demultiplexer(tunnel) {
+
+    /**
+     * Reference to this demultiplexer.
+     * @private
+     */
+    var demultiplexer = this;
+
+    /**
+     * All channels which have not yet closed, by channel ID. Each channel is
+     * an object having a "tunnel" property, the logical tunnel of that
+     * channel, and a "close" property, the function which closes that
+     * logical tunnel without notifying the other side.
+     * @private
+     */
+    var channels = {};
+
+    // Allow any number of listeners for each event
+    EventDispatcher.call(this);
+
+    /**
+     * The logical tunnel of a single channel, as seen by the side accepting
+     * that channel.
+     *
+     * @private
+     * @constructor
+     * @augments Tunnel
+     * @param {String} id The ID of the channel.
+     */
+    function Channel(id) {
+
+        /**
+         * Reference to this logical tunnel.
+         * @private
+         */
+        var channel = this;
+
+        /**
+         * The ID of the channel of this logical tunnel.
+         *
+         * @type {String}
+         */
+        this.id = id;
+
+        /**
+         * Closes this logical tunnel locally, without notifying the other
+         * side, signaling the given status.
+         *
+         * @private
+         * @param {Status} status The status causing the channel to close.
+         */
+        function close_channel(status) {
+
+            // Ignore if already closed
+            if (channel.state === Tunnel.State.CLOSED)
+                return;
+
+            delete channels[id];
+
+            // If connection closed abnormally, signal error.
+            if (status.code !== Status.Code.SUCCESS)
+                channel.dispatchEvent("error", status);
+
+            channel.state = Tunnel.State.CLOSED;
+            channel.dispatchEvent("statechange", channel.state);
+
+        }
+
+        channels[id] = {
+            "tunnel" : channel,
+            "close"  : close_channel
+        };
+
+        /**
+         * Accepts this channel, informing the other side that it is open.
+         *
+         * @param {String} [uuid]
+         *     The UUID to assign to this channel, if any.
+         */
+        this.accept = function accept(uuid) {
+
+            if (channel.state !== Tunnel.State.CONNECTING)
+                return;
+
+            if (uuid) {
+                tunnel.sendMessage("open", id, uuid);
+                channel.setUUID(uuid);
+            }
+            else
+                tunnel.sendMessage("open", id);
+
+            channel.state = Tunnel.State.OPEN;
+            channel.dispatchEvent("statechange", channel.state);
+
+        };
+
+        /**
+         * Closes this channel, informing the other side of the given status.
+         * This may be used to refuse a channel which has not been accepted.
+         *
+         * @param {Status} [status]
+         *     The status describing why the channel is being closed. By
+         *     default, a SUCCESS status is used.
+         */
+        this.close = function close(status) {
+
+            status = status || new Status(Status.Code.SUCCESS, "Manually closed.");
+
+            if (channel.state !== Tunnel.State.CLOSED)
+                tunnel.sendMessage("close", id, status.code, status.message);
+
+            close_channel(status);
+
+        };
+
+        this.disconnect = function() {
+            channel.close();
+        };
+
+        this.sendMessage = function(elements) {
+
+            // Do not attempt to send messages if not connected
+            if (channel.state !== Tunnel.State.OPEN)
+                return;
+
+            // Do not attempt to send empty messages
+            if (arguments.length === 0)
+                return;
+
+            tunnel.sendMessage.apply(tunnel, [id].concat(Array.prototype.slice.call(arguments)));
+
+        };
+
+    }
+
+    Channel.prototype = new Tunnel();
+
+    // Close all channels if the tunnel closes
+    tunnel.addEventListener("statechange", function stateChanged(state) {
+
+        if (state !== Tunnel.State.CLOSED)
+            return;
+
+        for (var id in channels)
+            channels[id].close(new Status(Status.Code.UPSTREAM_ERROR,
+                    "Multiplexed tunnel closed."));
+
+    });
+
+    // Route each instruction to its channel, creating channels as requested
+    tunnel.addEventListener("instruction", function instructionReceived(opcode, args) {
+
+        var channel = channels[args[0]];
+
+        if (opcode === "open") {
+
+            // Abandon any existing channel having the same ID
+            if (channel)
+                channel.close(new Status(Status.Code.SUCCESS, "Reopened."));
+
+            demultiplexer.dispatchEvent("channel", new Channel(args[0]), args[1]);
+
+        }
+
+        else if (opcode === "close") {
+            if (channel)
+                channel.close(new Status(parseInt(args[1]), args[2]));
+        }
+
+        else {
+            channel = channels[opcode];
+            if (channel && channel.tunnel.state === Tunnel.State.OPEN)
+                channel.tunnel.dispatchEvent("instruction", args[0], args.slice(1));
+        }
+
+    });
+
+    /**
+     * Fired when the other side opens a channel. The channel must be
+     * accepted using accept() before instructions can be exchanged, or may
+     * be refused using close().
+     *
+     * @event
+     * @param {Tunnel} tunnel
+     *     The logical tunnel of the new channel.
+     *
+     * @param {String} data
+     *     The data passed to connect() by the other side.
+     */
+    this.onchannel = null;
+
+};
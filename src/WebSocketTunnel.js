@@ -29,8 +29,11 @@ import Status from './Status.js'
  * @constructor
  * @augments Tunnel
  * @param {String} tunnelURL The URL of the WebSocket tunneling service.
+ * @param {WebSocketTunnel.Options|Object} [options]
+ *     Optional settings for this tunnel. Any properties not specified take
+ *     their default values, as documented by {@link WebSocketTunnel.Options}.
  */
-export default function WebSocketTunnel(tunnelURL) {
+export default function WebSocketTunnel(tunnelURL, options) {
 
     /**
      * Reference to this WebSocket tunnel.
@@ -44,12 +47,40 @@ export default function WebSocketTunnel(tunnelURL) {
      */
     var socket = null;
 
+    /**
+     * The settings of this tunnel.
+     * @private
+     * @type {WebSocketTunnel.Options}
+     */
+    var config = new WebSocketTunnel.Options(options);
+
+    /**
+     * The number of times connect() has been invoked, used to ignore
+     * authentication tokens which arrive after the connection attempt that
+     * requested them has been superseded.
+     * @private
+     */
+    var connect_attempts = 0;
+
     /**
      * The current receive timeout ID, if any.
      * @private
      */
     var receive_timeout = null;
 
+    /**
+     * The interval at which pings are currently being sent, if any.
+     * @private
+     */
+    var ping_interval = null;
+
+    /**
+     * The number of milliseconds between each ping sent to the server once
+     * the tunnel UUID has been received.
+     * @private
+     */
+    var PING_FREQUENCY = 500;
+
     /**
      * The WebSocket protocol corresponding to the protocol used for the current
      * location.
@@ -66,28 +97,41 @@ export default function WebSocketTunnel(tunnelURL) {
     if (   tunnelURL.substring(0, 3) !== "ws:"
         && tunnelURL.substring(0, 4) !== "wss:") {
 
-        var protocol = ws_protocol[window.location.protocol];
-
-        // If absolute URL, convert to absolute WS URL
-        if (tunnelURL.substring(0, 1) === "/")
-            tunnelURL =
-                protocol
-                + "//" + window.location.host
-                + tunnelURL;
+        // Resolve against base URL, if provided, rather than the current
+        // location
+        if (config.baseURL) {
+            var resolved = new URL(tunnelURL, config.baseURL);
+            tunnelURL = (ws_protocol[resolved.protocol] || resolved.protocol)
+                      + resolved.href.substring(resolved.protocol.length);
+        }
 
-        // Otherwise, construct absolute from relative URL
+        // Otherwise, resolve against the current location
         else {
 
-            // Get path from pathname
-            var slash = window.location.pathname.lastIndexOf("/");
-            var path  = window.location.pathname.substring(0, slash + 1);
+            var protocol = ws_protocol[window.location.protocol];
+
+            // If absolute URL, convert to absolute WS URL
+            if (tunnelURL.substring(0, 1) === "/")
+                tunnelURL =
+                    protocol
+                    + "//" + window.location.host
+                    + tunnelURL;
+
+            // Otherwise, construct absolute from relative URL
+            else {
 
-            // Construct absolute URL
-            tunnelURL =
-                protocol
-                + "//" + window.location.host
-                + path
-                + tunnelURL;
+                // Get path from pathname
+                var slash = window.location.pathname.lastIndexOf("/");
+                var path  = window.location.pathname.substring(0, slash + 1);
+
+                // Construct absolute URL
+                tunnelURL =
+                    protocol
+                    + "//" + window.location.host
+                    + path
+                    + tunnelURL;
+
+            }
 
         }
 
@@ -102,15 +146,49 @@ export default function WebSocketTunnel(tunnelURL) {
     function reset_timeout() {
 
         // Get rid of old timeout (if any)
-        window.clearTimeout(receive_timeout);
+        clearTimeout(receive_timeout);
 
         // Set new timeout
-        receive_timeout = window.setTimeout(function () {
+        receive_timeout = setTimeout(function () {
             close_tunnel(new Status(Status.Code.UPSTREAM_TIMEOUT, "Server timeout."));
         }, tunnel.receiveTimeout);
 
     }
 
+    /**
+     * Handles an instruction having the internal data opcode. The first such
+     * instruction received provides the UUID of the tunnel; as only servers
+     * which implement internal instructions send a UUID, pings are started
+     * only once the UUID is known. Pings echoed back by the server provide
+     * the round trip time of the tunnel.
+     *
+     * @private
+     * @param {String[]} elements The arguments of the internal instruction.
+     */
+    function handle_internal_instruction(elements) {
+
+        if (tunnel.uuid === null && elements.length === 1) {
+
+            tunnel.setUUID(elements[0]);
+
+            // Keep the connection alive while open
+            clearInterval(ping_interval);
+            ping_interval = setInterval(function sendPing() {
+                tunnel.sendMessage(Tunnel.INTERNAL_DATA_OPCODE, "ping",
+                        new Date().getTime());
+            }, PING_FREQUENCY);
+
+        }
+
+        // Measure round trip time from each ping echoed back by the server
+        else if (elements[0] === "ping" && elements.length === 2) {
+            var sent = parseInt(elements[1]);
+            if (!isNaN(sent))
+                tunnel.setRoundTripTime(new Date().getTime() - sent);
+        }
+
+    }
+
     /**
      * Closes this tunnel, signaling the given status and corresponding
      * message, which will be sent to the onerror handler if the status is
@@ -127,15 +205,26 @@ export default function WebSocketTunnel(tunnelURL) {
             return;
 
         // If connection closed abnormally, signal error.
-        if (status.code !== Status.Code.SUCCESS && tunnel.onerror)
-            tunnel.onerror(status);
+        if (status.code !== Status.Code.SUCCESS)
+            tunnel.dispatchEvent("error", status);
+
+        // Stop waiting for data and stop pinging
+        clearTimeout(receive_timeout);
+        clearInterval(ping_interval);
+
+        // Ignore any further events from the closed socket, such that they
+        // cannot affect a future connection
+        var closedSocket = socket;
+        if (closedSocket)
+            closedSocket.onopen = closedSocket.onclose =
+            closedSocket.onerror = closedSocket.onmessage = null;
 
         // Mark as closed
         tunnel.state = Tunnel.State.CLOSED;
-        if (tunnel.onstatechange)
-            tunnel.onstatechange(tunnel.state);
+        tunnel.dispatchEvent("statechange", tunnel.state);
 
-        socket.close();
+        if (closedSocket)
+            closedSocket.close();
 
     }
 
@@ -178,18 +267,101 @@ export default function WebSocketTunnel(tunnelURL) {
 
     this.connect = function(data) {
 
+        // Tunnel may be reconnected after being closed, in which case a new
+        // UUID will be assigned
+        tunnel.state = Tunnel.State.CONNECTING;
+        tunnel.uuid = null;
+        tunnel.roundTripTime = null;
+
         reset_timeout();
 
+        // Open socket immediately if no authentication token is needed
+        if (!config.getToken) {
+            try_open_socket(data, null);
+            return;
+        }
+
+        // Otherwise, obtain a fresh token before each connection attempt
+        var attempt = ++connect_attempts;
+        Promise.resolve().then(config.getToken).then(
+
+            function tokenReceived(token) {
+
+                if (attempt === connect_attempts && tunnel.state === Tunnel.State.CONNECTING)
+                    try_open_socket(data, token);
+            },
+
+            function tokenFailed() {
+                if (attempt === connect_attempts)
+                    close_tunnel(new Status(Status.Code.CLIENT_UNAUTHORIZED,
+                            "Unable to obtain authentication token."));
+            }
+
+        );
+
+    };
+
+    /**
+     * Opens a new WebSocket as with open_socket(), closing the tunnel with an
+     * error if the WebSocket cannot be created (such as due to an invalid
+     * URL), rather than throwing.
+     *
+     * @private
+     * @param {String} data The data to send to the tunnel when connecting.
+     * @param {String} token
+     *     The authentication token to send, or null if no token is needed.
+     */
+    function try_open_socket(data, token) {
+        try {
+            open_socket(data, token);
+        }
+        catch (e) {
+            close_tunnel(new Status(Status.Code.UPSTREAM_ERROR,
+                    "Unable to open WebSocket."));
+        }
+    }
+
+    /**
+     * Opens a new WebSocket to the tunnel URL, passing the given connect data
+     * and authentication token along with any configured query parameters
+     * and subprotocols.
+     *
+     * @private
+     * @param {String} data The data to send to the tunnel when connecting.
+     * @param {String} token
+     *     The authentication token to send, or null if no token is needed.
+     */
+    function open_socket(data, token) {
+
+        var parameters = [];
+        if (data)
+            parameters.push(data);
+
+        // Add connection-level query parameters
+        for (var name in config.params)
+            parameters.push(encodeURIComponent(name) + "="
+                          + encodeURIComponent(config.params[name]));
+
+        var protocols = ["guacamole"].concat(config.protocols);
+
+        // Send token either as a query parameter or as a subprotocol
+        if (token !== null) {
+            if (config.tokenParameter)
+                parameters.push(encodeURIComponent(config.tokenParameter) + "="
+                              + encodeURIComponent(token));
+            else
+                protocols.push(config.tokenProtocolPrefix + token);
+        }
+
         // Connect socket
-        socket = new WebSocket(tunnelURL + "?" + data, "guacamole");
+        socket = new config.WebSocket(tunnelURL + "?" + parameters.join("&"), protocols);
 
         socket.onopen = function(event) {
 
             reset_timeout();
 
             tunnel.state = Tunnel.State.OPEN;
-            if (tunnel.onstatechange)
-                tunnel.onstatechange(tunnel.state);
+            tunnel.dispatchEvent("statechange", tunnel.state);
 
         };
 
@@ -245,9 +417,12 @@ export default function WebSocketTunnel(tunnelURL) {
                     // Get opcode
                     var opcode = elements.shift();
 
-                    // Call instruction handler.
-                    if (tunnel.oninstruction)
-                        tunnel.oninstruction(opcode, elements);
+                    // Handle internal instructions within the tunnel,
+                    // passing all others to the instruction handler
+                    if (opcode === Tunnel.INTERNAL_DATA_OPCODE)
+                        handle_internal_instruction(elements);
+                    else
+                        tunnel.dispatchEvent("instruction", opcode, elements);
 
                     // Clear elements
                     elements.length = 0;
@@ -262,7 +437,7 @@ export default function WebSocketTunnel(tunnelURL) {
 
         };
 
-    };
+    }
 
     this.disconnect = function() {
         close_tunnel(new Status(Status.Code.SUCCESS, "Manually closed."));
@@ -271,3 +446,89 @@ export default function WebSocketTunnel(tunnelURL) {
 };
 
 WebSocketTunnel.prototype = new Tunnel();
+
+/**
+ * Settings which control how a WebSocketTunnel connects.
+ *
+ * @constructor
+ * @param {Object} [template={}]
+ *     An object whose properties override the default values of the
+ *     properties of these settings.
+ */
+WebSocketTunnel.Options = function Options(template) {
+
+    template = template || {};
+
+    /**
+     * The URL against which relative tunnel URLs are resolved, or null to
+     * resolve relative tunnel URLs against the current location. HTTP and
+     * HTTPS URLs are converted to their WebSocket equivalents.
+     *
+     * @type {String}
+     * @default null
+     */
+    this.baseURL = template.baseURL || null;
+
+    /**
+     * Subprotocols to offer in addition to "guacamole", which is always
+     * offered first.
+     *
+     * @type {String[]}
+     * @default []
+     */
+    this.protocols = template.protocols || [];
+
+    /**
+     * Additional query parameters to include in the URL of each connection,
+     * as an object whose properties are parameter names and whose values are
+     * parameter values. Names and values are URL-encoded automatically.
+     *
+     * @type {Object.<String, String>}
+     * @default {}
+     */
+    this.params = template.params || {};
+
+    /**
+     * Function which is invoked before each connection attempt, including
+     * reconnections, and returns the authentication token to send, or a
+     * Promise which resolves with that token. If the token cannot be obtained
+     * (the function throws or the Promise is rejected), the connection
+     * attempt fails with CLIENT_UNAUTHORIZED. If null, no token is sent.
+     *
+     * @type {function}
+     * @default null
+     */
+    this.getToken = template.getToken || null;
+
+    /**
+     * The prefix prepended to the authentication token when it is offered as
+     * a subprotocol. As subprotocols are sent within the
+     * Sec-WebSocket-Protocol header, the token must consist only of
+     * characters valid within an HTTP header token.
+     *
+     * @type {String}
+     * @default "bearer."
+     */
+    this.tokenProtocolPrefix = "tokenProtocolPrefix" in template
+            ? template.tokenProtocolPrefix : "bearer.";
+
+    /**
+     * The name of the query parameter which should contain the
+     * authentication token, or null if the token should instead be offered
+     * as a subprotocol.
+     *
+     * @type {String}
+     * @default null
+     */
+    this.tokenParameter = template.tokenParameter || null;
+
+    /**
+     * The WebSocket constructor to use, such as the implementation provided
+     * by a WebSocket library when running under Node.js. By default, the
+     * global WebSocket is used.
+     *
+     * @type {function}
+     */
+    this.WebSocket = template.WebSocket || (typeof WebSocket !== "undefined" ? WebSocket : null);
+
+};
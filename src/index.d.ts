@@ -0,0 +1,1209 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/*
+ * TypeScript declarations for the public API exported by index.js. These
+ * declarations are maintained by hand and must be kept in sync with the
+ * JSDoc of each module.
+ */
+
+/**
+ * Reader which exposes the contents of an InputStream as ArrayBuffers.
+ */
+export class ArrayBufferReader {
+    constructor(stream: InputStream);
+    ondata: ((buffer: ArrayBuffer) => void) | null;
+    onend: (() => void) | null;
+}
+
+/**
+ * Writer which sends the contents of ArrayBuffers over an OutputStream.
+ */
+export class ArrayBufferWriter {
+    constructor(stream: OutputStream);
+    sendData(data: ArrayBuffer | ArrayBufferView): void;
+    sendEnd(): void;
+    onack: ((status: Status) => void) | null;
+}
+
+/**
+ * Abstract audio player which plays audio received over an InputStream.
+ */
+export class AudioPlayer {
+    sync(): void;
+    static isSupportedType(mimetype: string): boolean;
+    static getSupportedTypes(): string[];
+    static getInstance(stream: InputStream, mimetype: string): AudioPlayer | null;
+}
+
+/**
+ * Reader which accumulates the contents of an InputStream into a Blob.
+ */
+export class BlobReader {
+    constructor(stream: InputStream, mimetype: string);
+    getLength(): number;
+    getBlob(): Blob;
+    onprogress: ((length: number) => void) | null;
+    onend: (() => void) | null;
+}
+
+export namespace ChainedTunnel {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners.
+     */
+    interface EventMap extends Tunnel.EventMap {
+        failover: (status: Status, connectionID: string | null) => string | void;
+    }
+
+}
+
+/**
+ * Tunnel which tries each of the given tunnels in order until one succeeds,
+ * optionally racing them against each other, and which may fail over to
+ * another tunnel mid-session.
+ */
+export class ChainedTunnel extends Tunnel<ChainedTunnel.EventMap> {
+    constructor(...tunnelChain: Tunnel[]);
+    raceDelay: number | null;
+    onfailover: ChainedTunnel.EventMap["failover"] | null;
+}
+
+export namespace Client {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners. Each event is named after its handler property, without the
+     * "on" prefix.
+     */
+    interface EventMap {
+        statistics: (statistics: Client.Statistics) => void;
+        statechange: (state: Client.State) => void;
+        reconnecting: (attempt: number, delay: number, status: Status) => void;
+        reconnected: () => void;
+        name: (name: string) => void;
+        error: (status: Status) => void;
+        disconnect: (status: Status) => void;
+        log: (message: string) => void;
+        audio: (stream: InputStream, mimetype: string) => AudioPlayer | null | void;
+        video: (stream: InputStream, layer: Display.VisibleLayer, mimetype: string) => VideoPlayer | null | void;
+        argv: (stream: InputStream, mimetype: string, name: string) => void;
+        clipboard: (stream: InputStream, mimetype: string) => void;
+        file: (stream: InputStream, mimetype: string, filename: string) => void;
+        filesystem: (object: GObject, name: string) => void;
+        pipe: (stream: InputStream, mimetype: string, name: string) => void;
+        required: (parameters: string[]) => void;
+        mouse: (x: number, y: number, buttonMask: number) => string | void;
+        sync: (timestamp: number) => void;
+    }
+
+    /**
+     * All possible Client states.
+     */
+    enum State {
+        IDLE = 0,
+        CONNECTING = 1,
+        WAITING = 2,
+        CONNECTED = 3,
+        DISCONNECTING = 4,
+        DISCONNECTED = 5
+    }
+
+    /**
+     * Policy describing if and how a dropped connection is re-established.
+     */
+    class ReconnectPolicy {
+        constructor(template?: Partial<ReconnectPolicy>);
+        maxAttempts: number;
+        initialDelay: number;
+        maxDelay: number;
+        multiplier: number;
+        jitter: number;
+        getDelay(attempt: number): number;
+        joinParameter: string;
+        getConnectData(data: string | undefined, connectionID: string | null): string | undefined;
+    }
+
+    /**
+     * Snapshot of the performance of a connection.
+     */
+    class Statistics {
+        constructor(template?: Partial<Statistics>);
+        renderTime: number;
+        latency: number | null;
+        framesPerSecond: number;
+        bytesPerSecond: number;
+        instructionsPerSecond: number;
+        pendingFrames: number;
+    }
+
+    /**
+     * Opaque state produced by Client.exportState().
+     */
+    interface ExportedState {
+        currentState: State;
+        currentTimestamp: number;
+        layers: { [index: number]: object };
+    }
+
+    /**
+     * Intercepts received instructions, returning false to drop the
+     * instruction or an array of [opcode, ...parameters] to replace it.
+     */
+    type InstructionInterceptor =
+        (opcode: string, parameters: string[]) => boolean | string[] | void;
+
+    /**
+     * Observes received instructions without affecting their handling.
+     */
+    type InstructionObserver = (opcode: string, parameters: string[]) => void;
+
+    /**
+     * Handles a received instruction in place of the built-in handler.
+     */
+    type InstructionHandler = (parameters: string[]) => void;
+
+    /**
+     * Transfer functions by Guacamole protocol transfer function code.
+     */
+    const DefaultTransferFunction: {
+        [code: number]: (src: Layer.Pixel, dst: Layer.Pixel) => void
+    };
+
+}
+
+/**
+ * Guacamole protocol client, handling the instructions received over the
+ * given tunnel and updating its display accordingly. The type parameter is
+ * the type of display used, which is a Display unless a HeadlessDisplay is
+ * provided to the constructor.
+ */
+export class Client<D extends Display | HeadlessDisplay = Display> extends EventDispatcher<Client.EventMap> {
+
+    constructor(tunnel: Tunnel, display?: D);
+
+    static REMOTE_MOUSE_ID: string;
+
+    getDisplay(): D;
+    getStatistics(): Client.Statistics;
+    exportState(callback: (state: Client.ExportedState) => void): void;
+    importState(state: Client.ExportedState, callback?: () => void): void;
+
+    sendSize(width: number, height: number): void;
+    sendKeyEvent(pressed: boolean | number, keysym: number): void;
+    sendMouseState(mouseState: Mouse.State): void;
+    sendTouchState(touchState: Touch.State): void;
+    setClipboard(data: string): void;
+
+    createFileStream(mimetype: string, filename: string): OutputStream;
+    createPipeStream(mimetype: string, name: string): OutputStream;
+    createArgumentValueStream(mimetype: string, name: string): OutputStream;
+    createClipboardStream(mimetype: string): OutputStream;
+    createObjectOutputStream(index: number, mimetype: string, name: string): OutputStream;
+    requestObjectInputStream(index: number, name: string): void;
+    sendAck(index: number, message: string, code: number): void;
+    sendBlob(index: number, data: string): void;
+    endStream(index: number): void;
+
+    addInstructionInterceptor(opcode: string | null, interceptor: Client.InstructionInterceptor): void;
+    removeInstructionInterceptor(opcode: string | null, interceptor: Client.InstructionInterceptor): void;
+    addInstructionObserver(opcode: string | null, observer: Client.InstructionObserver): void;
+    removeInstructionObserver(opcode: string | null, observer: Client.InstructionObserver): void;
+    setInstructionHandler(opcode: string, handler: Client.InstructionHandler | null): void;
+
+    startRecording(): void;
+    stopRecording(): Blob | null;
+    isRecording(): boolean;
+    getRecording(): Blob | null;
+
+    connect(data?: string): Promise<void>;
+    disconnect(): Promise<void>;
+
+    reconnectPolicy: Client.ReconnectPolicy | null;
+    statisticsInterval: number;
+
+    onstatistics: Client.EventMap["statistics"] | null;
+    onstatechange: Client.EventMap["statechange"] | null;
+    onreconnecting: Client.EventMap["reconnecting"] | null;
+    onreconnected: Client.EventMap["reconnected"] | null;
+    onname: Client.EventMap["name"] | null;
+    onerror: Client.EventMap["error"] | null;
+    ondisconnect: Client.EventMap["disconnect"] | null;
+    onlog: Client.EventMap["log"] | null;
+    onaudio: Client.EventMap["audio"] | null;
+    onvideo: Client.EventMap["video"] | null;
+    onargv: Client.EventMap["argv"] | null;
+    onclipboard: Client.EventMap["clipboard"] | null;
+    onfile: Client.EventMap["file"] | null;
+    onfilesystem: Client.EventMap["filesystem"] | null;
+    onpipe: Client.EventMap["pipe"] | null;
+    onrequired: Client.EventMap["required"] | null;
+    onmouse: Client.EventMap["mouse"] | null;
+    onsync: Client.EventMap["sync"] | null;
+
+}
+
+export namespace DataChannelTunnel {
+
+    /**
+     * Function which delivers an offer to the remote peer and provides the
+     * remote peer's answer.
+     */
+    type Signaller = (offer: RTCSessionDescription, data?: string)
+            => RTCSessionDescriptionInit | PromiseLike<RTCSessionDescriptionInit>;
+
+    /**
+     * Settings which control how a DataChannelTunnel connects.
+     */
+    class Options {
+        constructor(template?: Partial<Options>);
+        configuration: RTCConfiguration;
+        label: string;
+        channelOptions: RTCDataChannelInit;
+        RTCPeerConnection: { new (configuration?: RTCConfiguration): RTCPeerConnection } | null;
+    }
+
+}
+
+/**
+ * Tunnel implemented over a WebRTC data channel.
+ */
+export class DataChannelTunnel extends Tunnel {
+    constructor(signal: DataChannelTunnel.Signaller, options?: Partial<DataChannelTunnel.Options>);
+}
+
+/**
+ * Reader which accumulates the contents of an InputStream into a data URI.
+ */
+export class DataURIReader {
+    constructor(stream: InputStream, mimetype: string);
+    getURI(): string;
+    onend: (() => void) | null;
+}
+
+export namespace Display {
+
+    /**
+     * Layer which is visible within a Display, and may be positioned and
+     * nested within other visible layers.
+     */
+    class VisibleLayer extends Layer {
+        constructor(width: number, height: number);
+        alpha: number;
+        x: number;
+        y: number;
+        z: number;
+        matrix: number[];
+        parent: VisibleLayer | null;
+        children: { [id: number]: VisibleLayer };
+        getElement(): HTMLDivElement;
+        translate(x: number, y: number): void;
+        move(parent: VisibleLayer, x: number, y: number, z: number): void;
+        shade(a: number): void;
+        dispose(): void;
+        distort(a: number, b: number, c: number, d: number, e: number, f: number): void;
+    }
+
+    /**
+     * Colors assigned to remote cursors, in order of creation.
+     */
+    const REMOTE_CURSOR_COLORS: string[];
+
+}
+
+/**
+ * The Guacamole display, which renders the graphical operations of the
+ * Guacamole protocol in order.
+ */
+export class Display {
+
+    constructor();
+
+    cursorHotspotX: number;
+    cursorHotspotY: number;
+    cursorX: number;
+    cursorY: number;
+    imageDecoder: ImageDecoder | null;
+
+    onresize: ((width: number, height: number) => void) | null;
+    oncursor: ((canvas: HTMLCanvasElement, x: number, y: number) => void) | null;
+
+    getElement(): HTMLDivElement;
+    getWidth(): number;
+    getHeight(): number;
+    getDefaultLayer(): Display.VisibleLayer;
+    getCursorLayer(): Display.VisibleLayer;
+    createLayer(): Display.VisibleLayer;
+    createBuffer(): Layer;
+    getPendingFrames(): number;
+    flush(callback?: () => void): void;
+
+    setCursor(hotspotX: number, hotspotY: number, layer: Layer,
+        srcx: number, srcy: number, srcw: number, srch: number): void;
+    showCursor(shown?: boolean): void;
+    moveCursor(x: number, y: number): void;
+    showRemoteCursors(shown?: boolean): void;
+    isShowingRemoteCursors(): boolean;
+    setRemoteCursor(id: string, x: number, y: number, label?: string): void;
+    removeRemoteCursor(id: string): void;
+
+    resize(layer: Layer, width: number, height: number): void;
+    drawImage(layer: Layer, x: number, y: number, image: CanvasImageSource): void;
+    drawBlob(layer: Layer, x: number, y: number, blob: Blob): void;
+    draw(layer: Layer, x: number, y: number, url: string): void;
+    play(layer: Layer, mimetype: string, duration: number, url: string): void;
+    transfer(srcLayer: Layer, srcx: number, srcy: number, srcw: number, srch: number,
+        dstLayer: Layer, x: number, y: number,
+        transferFunction: (src: Layer.Pixel, dst: Layer.Pixel) => void): void;
+    put(srcLayer: Layer, srcx: number, srcy: number, srcw: number, srch: number,
+        dstLayer: Layer, x: number, y: number): void;
+    copy(srcLayer: Layer, srcx: number, srcy: number, srcw: number, srch: number,
+        dstLayer: Layer, x: number, y: number): void;
+    moveTo(layer: Layer, x: number, y: number): void;
+    lineTo(layer: Layer, x: number, y: number): void;
+    arc(layer: Layer, x: number, y: number, radius: number,
+        startAngle: number, endAngle: number, negative: boolean): void;
+    curveTo(layer: Layer, cp1x: number, cp1y: number, cp2x: number, cp2y: number,
+        x: number, y: number): void;
+    close(layer: Layer): void;
+    rect(layer: Layer, x: number, y: number, w: number, h: number): void;
+    clip(layer: Layer): void;
+    strokeColor(layer: Layer, cap: CanvasLineCap, join: CanvasLineJoin, thickness: number,
+        r: number, g: number, b: number, a: number): void;
+    fillColor(layer: Layer, r: number, g: number, b: number, a: number): void;
+    strokeLayer(layer: Layer, cap: CanvasLineCap, join: CanvasLineJoin, thickness: number,
+        srcLayer: Layer): void;
+    fillLayer(layer: Layer, srcLayer: Layer): void;
+    push(layer: Layer): void;
+    pop(layer: Layer): void;
+    reset(layer: Layer): void;
+    setTransform(layer: Layer, a: number, b: number, c: number, d: number,
+        e: number, f: number): void;
+    transform(layer: Layer, a: number, b: number, c: number, d: number,
+        e: number, f: number): void;
+    setChannelMask(layer: Layer, mask: number): void;
+    setMiterLimit(layer: Layer, limit: number): void;
+
+    scale(scale: number): void;
+    getScale(): number;
+    flatten(): HTMLCanvasElement;
+
+}
+
+/**
+ * Mixin providing any number of listeners for each event of an object, in
+ * addition to its single "on" handler properties. The type parameter maps
+ * each event name to the signature of its listeners.
+ */
+export class EventDispatcher<EventMap = { [type: string]: (...args: any[]) => any }> {
+    addEventListener<K extends keyof EventMap & string>(type: K, listener: EventMap[K]): void;
+    removeEventListener<K extends keyof EventMap & string>(type: K, listener: EventMap[K]): void;
+    hasEventHandlers(type: keyof EventMap & string): boolean;
+    dispatchEvent<K extends keyof EventMap & string>(type: K,
+        ...args: EventMap[K] extends (...args: infer A) => any ? A : never): any;
+}
+
+/**
+ * Guacamole Tunnel implemented over HTTP via the Fetch API, reading each
+ * response as a stream.
+ */
+export class FetchTunnel extends Tunnel {
+    constructor(tunnelURL: string, crossDomain?: boolean);
+}
+
+export namespace HeadlessDisplay {
+
+    /**
+     * Layer of a HeadlessDisplay, tracking geometry only.
+     */
+    class Layer {
+        constructor(width: number, height: number);
+        autosize: boolean;
+        width: number;
+        height: number;
+        alpha: number;
+        x: number;
+        y: number;
+        z: number;
+        matrix: number[];
+        parent: Layer | null;
+        children: { [id: number]: Layer };
+        resize(newWidth: number, newHeight: number): void;
+        getCanvas(): null;
+        getElement(): null;
+        translate(x: number, y: number): void;
+        move(parent: Layer, x: number, y: number, z: number): void;
+        shade(a: number): void;
+        dispose(): void;
+        distort(a: number, b: number, c: number, d: number, e: number, f: number): void;
+    }
+
+}
+
+/**
+ * Display which tracks layer geometry and the cursor position but renders
+ * nothing, for use without a DOM.
+ */
+export class HeadlessDisplay {
+    constructor();
+    cursorHotspotX: number;
+    cursorHotspotY: number;
+    cursorX: number;
+    cursorY: number;
+    onresize: ((width: number, height: number) => void) | null;
+    oncursor: ((canvas: null, x: number, y: number) => void) | null;
+    getElement(): null;
+    isShowingRemoteCursors(): false;
+    getWidth(): number;
+    getHeight(): number;
+    getDefaultLayer(): HeadlessDisplay.Layer;
+    getCursorLayer(): HeadlessDisplay.Layer;
+    createLayer(): HeadlessDisplay.Layer;
+    createBuffer(): HeadlessDisplay.Layer;
+    getPendingFrames(): number;
+    flush(callback?: () => void): void;
+    setCursor(hotspotX: number, hotspotY: number, ...ignored: any[]): void;
+    moveCursor(x: number, y: number): void;
+    resize(layer: HeadlessDisplay.Layer, width: number, height: number): void;
+    scale(scale: number): void;
+    getScale(): number;
+    flatten(): null;
+}
+
+/**
+ * Tunnel implemented over HTTP via XMLHttpRequest.
+ */
+export class HTTPTunnel extends Tunnel {
+    constructor(tunnelURL: string, crossDomain?: boolean);
+}
+
+/**
+ * Decoder which converts images to ImageBitmaps within a Web Worker.
+ */
+export class ImageDecoder {
+    constructor();
+    decode(source: Blob | string, callback: (bitmap: ImageBitmap | null) => void): void;
+    terminate(): void;
+    static isSupported(): boolean;
+    static isDecodable(source: Blob | string): boolean;
+}
+
+export namespace InputStream {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners. Each event is named after its handler property, without the
+     * "on" prefix.
+     */
+    interface EventMap {
+        blob: (data: string) => void;
+        end: () => void;
+    }
+
+}
+
+/**
+ * An input stream abstraction used by the Guacamole client.
+ */
+export class InputStream extends EventDispatcher<InputStream.EventMap> {
+    constructor(client: Client<Display | HeadlessDisplay>, index: number);
+    index: number;
+    onblob: InputStream.EventMap["blob"] | null;
+    onend: InputStream.EventMap["end"] | null;
+    sendAck(message: string, code: number): void;
+}
+
+/**
+ * Pool of integers which reuses freed integers where possible.
+ */
+export class IntegerPool {
+    constructor();
+    next_int: number;
+    next(): number;
+    free(integer: number): void;
+}
+
+/**
+ * Reader which parses the contents of an InputStream as JSON.
+ */
+export class JSONReader {
+    constructor(stream: InputStream);
+    getLength(): number;
+    getJSON(): any;
+    onprogress: ((length: number) => void) | null;
+    onend: (() => void) | null;
+}
+
+export namespace Keyboard {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners. Each event is named after its handler property, without the
+     * "on" prefix.
+     */
+    interface EventMap {
+        keydown: (keysym: number) => boolean | void;
+        keyup: (keysym: number) => void;
+    }
+
+    /**
+     * The state of all supported keyboard modifiers.
+     */
+    class ModifierState {
+        constructor();
+        shift: boolean;
+        ctrl: boolean;
+        alt: boolean;
+        meta: boolean;
+        hyper: boolean;
+        static fromKeyboardEvent(e: KeyboardEvent): ModifierState;
+    }
+
+}
+
+/**
+ * Provides cross-browser keyboard events for the given element, translated
+ * into X11 keysyms.
+ */
+export class Keyboard extends EventDispatcher<Keyboard.EventMap> {
+    constructor(element: Element | Document);
+    onkeydown: Keyboard.EventMap["keydown"] | null;
+    onkeyup: Keyboard.EventMap["keyup"] | null;
+    modifiers: Keyboard.ModifierState;
+    pressed: { [keysym: number]: boolean };
+    press(keysym: number): boolean | undefined;
+    release(keysym: number): void;
+    reset(): void;
+}
+
+export namespace Layer {
+
+    /**
+     * A single pixel of image data, as provided to transfer functions.
+     */
+    class Pixel {
+        constructor(r: number, g: number, b: number, a: number);
+        red: number;
+        green: number;
+        blue: number;
+        alpha: number;
+    }
+
+    const ROUT: number;
+    const ATOP: number;
+    const XOR: number;
+    const ROVER: number;
+    const OVER: number;
+    const PLUS: number;
+    const RIN: number;
+    const IN: number;
+    const OUT: number;
+    const RATOP: number;
+    const SRC: number;
+
+}
+
+/**
+ * Ordered drawing surface backed by a canvas element.
+ */
+export class Layer {
+    constructor(width: number, height: number);
+    autosize: boolean;
+    width: number;
+    height: number;
+    getCanvas(): HTMLCanvasElement;
+    resize(newWidth: number, newHeight: number): void;
+    drawImage(x: number, y: number, image: CanvasImageSource): void;
+    transfer(srcLayer: Layer, srcx: number, srcy: number, srcw: number, srch: number,
+        x: number, y: number,
+        transferFunction: (src: Layer.Pixel, dst: Layer.Pixel) => void): void;
+    put(srcLayer: Layer, srcx: number, srcy: number, srcw: number, srch: number,
+        x: number, y: number): void;
+    copy(srcLayer: Layer, srcx: number, srcy: number, srcw: number, srch: number,
+        x: number, y: number): void;
+    moveTo(x: number, y: number): void;
+    lineTo(x: number, y: number): void;
+    arc(x: number, y: number, radius: number, startAngle: number, endAngle: number,
+        negative: boolean): void;
+    curveTo(cp1x: number, cp1y: number, cp2x: number, cp2y: number,
+        x: number, y: number): void;
+    close(): void;
+    rect(x: number, y: number, w: number, h: number): void;
+    clip(): void;
+    strokeColor(cap: CanvasLineCap, join: CanvasLineJoin, thickness: number,
+        r: number, g: number, b: number, a: number): void;
+    fillColor(r: number, g: number, b: number, a: number): void;
+    strokeLayer(cap: CanvasLineCap, join: CanvasLineJoin, thickness: number,
+        srcLayer: Layer): void;
+    fillLayer(srcLayer: Layer): void;
+    push(): void;
+    pop(): void;
+    reset(): void;
+    setTransform(a: number, b: number, c: number, d: number, e: number, f: number): void;
+    transform(a: number, b: number, c: number, d: number, e: number, f: number): void;
+    setChannelMask(mask: number): void;
+    setMiterLimit(limit: number): void;
+}
+
+export namespace LoopbackTunnel {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners.
+     */
+    interface EventMap extends Tunnel.EventMap {
+        connect: (data?: string) => void;
+    }
+
+}
+
+/**
+ * One end of an in-memory pair of tunnels, intended for testing.
+ */
+export class LoopbackTunnel extends Tunnel<LoopbackTunnel.EventMap> {
+    constructor(peer?: LoopbackTunnel);
+    peer: LoopbackTunnel;
+    latency: number;
+    sent: string[][];
+    dropNext(count?: number): void;
+    fail(status?: Status): void;
+    deliver(): number;
+    flush(): void;
+    getSent(opcode: string): string[][];
+    clearSent(): void;
+    onconnect: LoopbackTunnel.EventMap["connect"] | null;
+}
+
+export namespace Mouse {
+
+    /**
+     * All events which may be listened for on touch-based mouse emulation,
+     * with the signature of their listeners.
+     */
+    interface TouchEventMap {
+        mousedown: (state: State) => void;
+        mouseup: (state: State) => void;
+        mousemove: (state: State) => void;
+    }
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners. Each event is named after its handler property, without the
+     * "on" prefix.
+     */
+    interface EventMap extends TouchEventMap {
+        mouseout: () => void;
+    }
+
+    /**
+     * The state of a mouse: its position and the state of each button.
+     */
+    class State {
+        constructor(x: number, y: number, left: boolean, middle: boolean,
+            right: boolean, up: boolean, down: boolean);
+        x: number;
+        y: number;
+        left: boolean;
+        middle: boolean;
+        right: boolean;
+        up: boolean;
+        down: boolean;
+        fromClientPosition(element: Element, clientX: number, clientY: number): void;
+    }
+
+    /**
+     * Emulates a mouse using relative touch gestures, like a laptop touchpad.
+     */
+    class Touchpad extends EventDispatcher<TouchEventMap> {
+        constructor(element: Element);
+        scrollThreshold: number;
+        clickTimingThreshold: number;
+        clickMoveThreshold: number;
+        currentState: State;
+        onmousedown: TouchEventMap["mousedown"] | null;
+        onmouseup: TouchEventMap["mouseup"] | null;
+        onmousemove: TouchEventMap["mousemove"] | null;
+    }
+
+    /**
+     * Emulates a mouse using absolute touch gestures.
+     */
+    class Touchscreen extends EventDispatcher<TouchEventMap> {
+        constructor(element: Element);
+        scrollThreshold: number;
+        clickTimingThreshold: number;
+        clickMoveThreshold: number;
+        longPressThreshold: number;
+        currentState: State;
+        onmousedown: TouchEventMap["mousedown"] | null;
+        onmouseup: TouchEventMap["mouseup"] | null;
+        onmousemove: TouchEventMap["mousemove"] | null;
+    }
+
+}
+
+/**
+ * Provides cross-browser mouse events for the given element.
+ */
+export class Mouse extends EventDispatcher<Mouse.EventMap> {
+    constructor(element: Element);
+    touchMouseThreshold: number;
+    scrollThreshold: number;
+    PIXELS_PER_LINE: number;
+    PIXELS_PER_PAGE: number;
+    currentState: Mouse.State;
+    onmousedown: Mouse.EventMap["mousedown"] | null;
+    onmouseup: Mouse.EventMap["mouseup"] | null;
+    onmousemove: Mouse.EventMap["mousemove"] | null;
+    onmouseout: Mouse.EventMap["mouseout"] | null;
+    setCursor(canvas: HTMLCanvasElement, x: number, y: number): boolean;
+}
+
+declare namespace GObject {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners. Each event is named after its handler property, without the
+     * "on" prefix.
+     */
+    interface EventMap {
+        body: (inputStream: InputStream, mimetype: string, name: string) => void;
+        undefine: () => void;
+    }
+
+}
+
+/**
+ * An object exposed by the remote desktop, such as a filesystem.
+ */
+declare class GObject extends EventDispatcher<GObject.EventMap> {
+    constructor(client: Client<Display | HeadlessDisplay>, index: number);
+    index: number;
+    onbody: GObject.EventMap["body"] | null;
+    onundefine: GObject.EventMap["undefine"] | null;
+    requestInputStream(name: string,
+        bodyCallback?: (inputStream: InputStream, mimetype: string) => void): void;
+    createOutputStream(mimetype: string, name: string): OutputStream;
+    static ROOT_STREAM: string;
+    static STREAM_INDEX_MIMETYPE: string;
+}
+
+export { GObject as Object };
+
+export namespace OnScreenKeyboard {
+
+    /**
+     * The JSON layout of an on-screen keyboard.
+     */
+    class Layout {
+        constructor(template: LayoutTemplate);
+        language: string;
+        type: string;
+        keys: { [name: string]: number | string | Key | Key[] };
+        layout: LayoutElement;
+        width: number;
+        keyWidths: { [name: string]: number };
+    }
+
+    /**
+     * Recursive description of the arrangement of keys within a layout:
+     * arrays are rows or columns, numbers are gaps, and strings are key
+     * names.
+     */
+    type LayoutElement = number | string | LayoutElement[] | { [key: string]: LayoutElement };
+
+    /**
+     * The JSON object from which a Layout is created.
+     */
+    interface LayoutTemplate {
+        language: string;
+        type: string;
+        keys: { [name: string]: number | string | KeyTemplate | KeyTemplate[] };
+        layout: LayoutElement;
+        width: number;
+        keyWidths?: { [name: string]: number };
+    }
+
+    /**
+     * The JSON object from which a Key is created.
+     */
+    interface KeyTemplate {
+        name?: string;
+        title?: string;
+        keysym?: number;
+        modifier?: string;
+        requires?: string[];
+    }
+
+    /**
+     * A single key, or a single possible behavior of a key.
+     */
+    class Key {
+        constructor(template: KeyTemplate, name?: string);
+        name: string;
+        title: string;
+        keysym: number;
+        modifier: string;
+        requires: string[];
+    }
+
+}
+
+/**
+ * On-screen keyboard rendered from a JSON layout.
+ */
+export class OnScreenKeyboard {
+    constructor(layout: OnScreenKeyboard.LayoutTemplate);
+    touchMouseThreshold: number;
+    onkeydown: ((keysym: number) => void) | null;
+    onkeyup: ((keysym: number) => void) | null;
+    layout: OnScreenKeyboard.Layout;
+    keys: { [name: string]: OnScreenKeyboard.Key[] };
+    getElement(): HTMLDivElement;
+    resize(width: number): void;
+}
+
+/**
+ * An output stream abstraction used by the Guacamole client.
+ */
+export class OutputStream {
+    constructor(client: Client<Display | HeadlessDisplay>, index: number);
+    index: number;
+    onack: ((status: Status) => void) | null;
+    sendBlob(data: string): void;
+    sendEnd(): void;
+}
+
+/**
+ * Simple Guacamole protocol parser.
+ */
+export class Parser {
+    constructor();
+    receive(packet: string): void;
+    oninstruction: ((opcode: string, parameters: string[]) => void) | null;
+    static toInstruction(elements: any[]): string;
+}
+
+/**
+ * Player for Guacamole session recordings.
+ */
+export class SessionRecording {
+    constructor(source: Blob | Tunnel);
+    onload: (() => void) | null;
+    onerror: ((message: string) => void) | null;
+    onprogress: ((duration: number, parsedSize: number) => void) | null;
+    onplay: (() => void) | null;
+    onpause: (() => void) | null;
+    onseek: ((position: number) => void) | null;
+    connect(data?: string): void;
+    disconnect(): void;
+    abort(): void;
+    getDisplay(): Display;
+    isPlaying(): boolean;
+    getPosition(): number;
+    getDuration(): number;
+    play(): void;
+    seek(position: number, callback?: () => void): void;
+    pause(): void;
+}
+
+export namespace ShapedTunnel {
+
+    /**
+     * Settings which describe the network link simulated by a ShapedTunnel.
+     */
+    class Options {
+        constructor(template?: Partial<Options>);
+        uploadBandwidth: number;
+        downloadBandwidth: number;
+        latency: number;
+        jitter: number;
+        burstInterval: number;
+    }
+
+}
+
+/**
+ * Tunnel which wraps another tunnel, simulating a constrained network link
+ * and counting the bytes transferred.
+ */
+export class ShapedTunnel extends Tunnel {
+    constructor(tunnel: Tunnel, options?: Partial<ShapedTunnel.Options>);
+    options: ShapedTunnel.Options;
+    bytesSent: number;
+    bytesReceived: number;
+}
+
+export namespace StaticHTTPTunnel {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners.
+     */
+    interface EventMap extends Tunnel.EventMap {
+        progress: (length: number, total: number | null) => void;
+    }
+
+    /**
+     * Settings which control how a StaticHTTPTunnel downloads and provides
+     * the file.
+     */
+    class Options {
+        constructor(template?: Partial<Options>);
+        respectSync: boolean;
+        maxPending: number;
+        headers: { [name: string]: string };
+    }
+
+}
+
+/**
+ * Read-only tunnel which downloads a Guacamole protocol dump, such as a
+ * session recording, over HTTP.
+ */
+export class StaticHTTPTunnel extends Tunnel<StaticHTTPTunnel.EventMap> {
+    constructor(url: string, crossDomain?: boolean, options?: Partial<StaticHTTPTunnel.Options>);
+    onprogress: StaticHTTPTunnel.EventMap["progress"] | null;
+}
+
+export namespace Status {
+
+    /**
+     * All Guacamole protocol status codes.
+     */
+    enum Code {
+        SUCCESS = 0x0000,
+        UNSUPPORTED = 0x0100,
+        SERVER_ERROR = 0x0200,
+        SERVER_BUSY = 0x0201,
+        UPSTREAM_TIMEOUT = 0x0202,
+        UPSTREAM_ERROR = 0x0203,
+        RESOURCE_NOT_FOUND = 0x0204,
+        RESOURCE_CONFLICT = 0x0205,
+        CLIENT_BAD_REQUEST = 0x0300,
+        CLIENT_UNAUTHORIZED = 0x0301,
+        CLIENT_FORBIDDEN = 0x0303,
+        CLIENT_TIMEOUT = 0x0308,
+        CLIENT_OVERRUN = 0x030D,
+        CLIENT_BAD_TYPE = 0x030F,
+        CLIENT_TOO_MANY = 0x031D
+    }
+
+}
+
+/**
+ * A Guacamole status, consisting of a status code and optional message.
+ */
+export class Status {
+    constructor(code: Status.Code | number, message?: string);
+    code: Status.Code | number;
+    message: string | undefined;
+    isError(): boolean;
+}
+
+/**
+ * Reader which decodes the contents of an InputStream as UTF-8 text.
+ */
+export class StringReader {
+    constructor(stream: InputStream);
+    ontext: ((text: string) => void) | null;
+    onend: (() => void) | null;
+}
+
+/**
+ * Writer which sends text over an OutputStream encoded as UTF-8.
+ */
+export class StringWriter {
+    constructor(stream: OutputStream);
+    sendText(text: string): void;
+    sendEnd(): void;
+    onack: ((status: Status) => void) | null;
+}
+
+export namespace Touch {
+
+    /**
+     * The state of a single touch contact.
+     */
+    class State {
+        constructor(id: number, x?: number, y?: number, radiusX?: number,
+            radiusY?: number, angle?: number, force?: number);
+        id: number;
+        x: number;
+        y: number;
+        radiusX: number;
+        radiusY: number;
+        angle: number;
+        force: number;
+        fromClientPosition(element: Element, clientX: number, clientY: number): void;
+    }
+
+}
+
+/**
+ * Provides the state of every touch contact on the given element.
+ */
+export class Touch {
+    constructor(element: Element);
+    touches: { [id: number]: Touch.State };
+    activeTouches: number;
+    ontouchstart: ((state: Touch.State) => void) | null;
+    ontouchmove: ((state: Touch.State) => void) | null;
+    ontouchend: ((state: Touch.State) => void) | null;
+}
+
+export namespace Tunnel {
+
+    /**
+     * All events which may be listened for, with the signature of their
+     * listeners. Each event is named after its handler property, without the
+     * "on" prefix.
+     */
+    interface EventMap {
+        error: (status: Status) => void;
+        statechange: (state: Tunnel.State) => void;
+        instruction: (opcode: string, parameters: string[]) => void;
+        uuid: (uuid: string) => void;
+        roundtrip: (roundTripTime: number) => void;
+    }
+
+    /**
+     * The opcode of instructions used internally by tunnel implementations.
+     */
+    const INTERNAL_DATA_OPCODE: string;
+
+    /**
+     * All possible tunnel states.
+     */
+    enum State {
+        CONNECTING = 0,
+        OPEN = 1,
+        CLOSED = 2
+    }
+
+}
+
+/**
+ * Core object providing abstract communication for Guacamole.
+ */
+export class Tunnel<EventMap extends Tunnel.EventMap = Tunnel.EventMap> extends EventDispatcher<EventMap> {
+    constructor();
+    connect(data?: string): void;
+    disconnect(): void;
+    sendMessage(...elements: any[]): void;
+    state: Tunnel.State;
+    receiveTimeout: number;
+    onerror: Tunnel.EventMap["error"] | null;
+    onstatechange: Tunnel.EventMap["statechange"] | null;
+    oninstruction: Tunnel.EventMap["instruction"] | null;
+    uuid: string | null;
+    onuuid: Tunnel.EventMap["uuid"] | null;
+    setUUID(uuid: string): void;
+    roundTripTime: number | null;
+    onroundtrip: Tunnel.EventMap["roundtrip"] | null;
+    setRoundTripTime(roundTripTime: number): void;
+}
+
+export namespace TunnelMultiplexer {
+
+    namespace Demultiplexer {
+
+        /**
+         * All events which may be listened for, with the signature of their
+         * listeners.
+         */
+        interface EventMap {
+            channel: (tunnel: Channel, data: string) => void;
+        }
+
+        /**
+         * The logical tunnel of a single channel, as seen by the side
+         * accepting that channel.
+         */
+        interface Channel extends Tunnel {
+            id: string;
+            accept(uuid?: string): void;
+            close(status?: Status): void;
+        }
+
+    }
+
+    /**
+     * Reference implementation of the side of a multiplexed connection which
+     * accepts channels.
+     */
+    class Demultiplexer extends EventDispatcher<Demultiplexer.EventMap> {
+        constructor(tunnel: Tunnel);
+        onchannel: Demultiplexer.EventMap["channel"] | null;
+    }
+
+}
+
+/**
+ * Carries any number of logical tunnels over a single underlying tunnel.
+ */
+export class TunnelMultiplexer {
+    constructor(tunnel: Tunnel, data?: string);
+    createTunnel(): Tunnel;
+}
+
+/**
+ * The version of the Guacamole JavaScript API.
+ */
+export const Version: string;
+
+/**
+ * Abstract video player which plays video received over an InputStream.
+ */
+export class VideoPlayer {
+    sync(): void;
+    static isSupportedType(mimetype: string): boolean;
+    static getSupportedTypes(): string[];
+    static getInstance(stream: InputStream, layer: Display.VisibleLayer,
+        mimetype: string): VideoPlayer | null;
+}
+
+export namespace WebSocketTunnel {
+
+    /**
+     * Settings which control how a WebSocketTunnel connects.
+     */
+    class Options {
+        constructor(template?: Partial<Options>);
+        baseURL: string | null;
+        protocols: string[];
+        params: { [name: string]: string };
+        getToken: (() => string | Promise<string>) | null;
+        tokenProtocolPrefix: string;
+        tokenParameter: string | null;
+        WebSocket: { new (url: string, protocols?: string | string[]): WebSocket } | null;
+    }
+
+}
+
+/**
+ * Tunnel implemented over WebSocket.
+ */
+export class WebSocketTunnel extends Tunnel {
+    constructor(tunnelURL: string, options?: Partial<WebSocketTunnel.Options>);
+}
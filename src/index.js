@@ -4,23 +4,34 @@ export { default as AudioPlayer } from './AudioPlayer.js'
 export { default as BlobReader } from './BlobReader.js'
 export { default as ChainedTunnel } from './ChainedTunnel.js'
 export { default as Client } from './Client.js'
+export { default as DataChannelTunnel } from './DataChannelTunnel.js'
 export { default as DataURIReader } from './DataURIReader.js'
 export { default as Display } from './Display.js'
+export { default as EventDispatcher } from './EventDispatcher.js'
+export { default as FetchTunnel } from './FetchTunnel.js'
+export { default as HeadlessDisplay } from './HeadlessDisplay.js'
 export { default as HTTPTunnel } from './HTTPTunnel.js'
+export { default as ImageDecoder } from './ImageDecoder.js'
 export { default as InputStream } from './InputStream.js'
 export { default as IntegerPool } from './IntegerPool.js'
 export { default as JSONReader } from './JSONReader.js'
 export { default as Keyboard } from './Keyboard.js'
 export { default as Layer } from './Layer.js'
+export { default as LoopbackTunnel } from './LoopbackTunnel.js'
 export { default as Mouse } from './Mouse.js'
 export { default as Object } from './Object.js'
 export { default as OnScreenKeyboard } from './OnScreenKeyboard.js'
 export { default as OutputStream } from './OutputStream.js'
 export { default as Parser } from './Parser.js'
+export { default as SessionRecording } from './SessionRecording.js'
+export { default as ShapedTunnel } from './ShapedTunnel.js'
+export { default as StaticHTTPTunnel } from './StaticHTTPTunnel.js'
 export { default as Status } from './Status.js'
 export { default as StringReader } from './StringReader.js'
 export { default as StringWriter } from './StringWriter.js'
+export { default as Touch } from './Touch.js'
 export { default as Tunnel } from './Tunnel.js'
+export { default as TunnelMultiplexer } from './TunnelMultiplexer.js'
 export { default as Version } from './Version.js'
 export { default as VideoPlayer } from './VideoPlayer.js'
 export { default as WebSocketTunnel } from './WebSocketTunnel.js'
@@ -0,0 +1,54 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ChainedTunnel, Client, HeadlessDisplay, LoopbackTunnel, Tunnel } from "../src/index.js";
+
+test("chained tunnel fails over to the next tunnel by default", async function() {
+
+    var primary = new LoopbackTunnel();
+    var secondary = new LoopbackTunnel();
+    var chained = new ChainedTunnel(primary, secondary);
+
+    var requests = [];
+    primary.peer.onconnect = function() { primary.peer.fail(); };
+    secondary.peer.onconnect = function(data) {
+        requests.push(data);
+        secondary.peer.sendMessage("ready", "$connection");
+        secondary.peer.sendMessage("sync", 1000);
+    };
+
+    var client = new Client(chained, new HeadlessDisplay());
+    var connected = client.connect("a=b");
+    primary.flush();
+    secondary.flush();
+    await connected;
+
+    assert.deepEqual(requests, ["a=b"]);
+    assert.equal(chained.state, Tunnel.State.OPEN);
+
+    client.disconnect();
+    secondary.flush();
+
+});
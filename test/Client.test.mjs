@@ -0,0 +1,259 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Client, HeadlessDisplay, LoopbackTunnel, Parser, Status, Tunnel } from "../src/index.js";
+
+/**
+ * Returns a Promise which resolves after the given number of milliseconds.
+ *
+ * @param {Number} ms The number of milliseconds to wait.
+ * @returns {Promise} A Promise which resolves once the time has elapsed.
+ */
+function wait(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+/**
+ * Creates a Client connected through a LoopbackTunnel, whose peer plays the
+ * part of the server. The server completes the handshake for each
+ * connection request with "ready", "size" and "sync" instructions, and
+ * records the data of each connection request.
+ *
+ * @returns {Object}
+ *     An object having "client", "tunnel", "server", "states" and "requests"
+ *     properties.
+ */
+function createClient() {
+
+    var tunnel = new LoopbackTunnel();
+    var server = tunnel.peer;
+    var client = new Client(tunnel, new HeadlessDisplay());
+
+    var states = [];
+    client.onstatechange = function(state) { states.push(state); };
+
+    var requests = [];
+    server.onconnect = function(data) {
+        requests.push(data);
+        server.sendMessage("ready", "$connection");
+        server.sendMessage("size", 0, 1024, 768);
+        server.sendMessage("sync", 1000);
+    };
+
+    return { client, tunnel, server, states, requests };
+
+}
+
+test("handshake completes once the first sync is received", async function() {
+
+    var { client, tunnel, states, requests } = createClient();
+
+    var connected = client.connect("a=b");
+    tunnel.flush();
+    await connected;
+
+    assert.deepEqual(requests, ["a=b"]);
+    assert.deepEqual(states, [
+        Client.State.CONNECTING,
+        Client.State.WAITING,
+        Client.State.CONNECTED
+    ]);
+
+    // The frame of the first sync is acknowledged
+    assert.deepEqual(tunnel.getSent("sync"), [["sync", "1000"]]);
+    assert.equal(client.getDisplay().getWidth(), 1024);
+
+    await client.disconnect();
+
+});
+
+test("disconnect sends disconnect instruction and closes tunnel", async function() {
+
+    var { client, tunnel, states } = createClient();
+
+    var connected = client.connect();
+    tunnel.flush();
+    await connected;
+
+    var closed = client.disconnect();
+    tunnel.flush();
+    await closed;
+
+    assert.deepEqual(tunnel.getSent("disconnect"), [["disconnect"]]);
+    assert.equal(tunnel.state, Tunnel.State.CLOSED);
+    assert.equal(states[states.length - 1], Client.State.DISCONNECTED);
+
+});
+
+test("failed handshake rejects and disconnects", async function() {
+
+    var { client, tunnel, server, states } = createClient();
+    server.onconnect = null;
+
+    var connected = client.connect();
+    tunnel.flush();
+    server.fail(new Status(Status.Code.RESOURCE_NOT_FOUND, "No such connection."));
+
+    await assert.rejects(connected, function(status) {
+        return status.code === Status.Code.RESOURCE_NOT_FOUND;
+    });
+
+    assert.equal(states[states.length - 1], Client.State.DISCONNECTED);
+
+});
+
+test("error instruction is reported and rejects the handshake", async function() {
+
+    var { client, tunnel, server } = createClient();
+
+    var errors = [];
+    client.onerror = function(status) { errors.push(status); };
+    server.onconnect = function() {
+        server.sendMessage("error", "Access denied.", Status.Code.CLIENT_FORBIDDEN);
+    };
+
+    var connected = client.connect();
+    tunnel.flush();
+
+    await assert.rejects(connected);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, Status.Code.CLIENT_FORBIDDEN);
+    assert.equal(errors[0].message, "Access denied.");
+
+});
+
+test("disconnect instruction is reported with a success status", async function() {
+
+    var { client, tunnel, server, states } = createClient();
+
+    var connected = client.connect();
+    tunnel.flush();
+    await connected;
+
+    var reported = null;
+    client.ondisconnect = function(status) { reported = status; };
+
+    server.sendMessage("disconnect");
+    tunnel.flush();
+
+    assert.equal(reported.code, Status.Code.SUCCESS);
+    assert.equal(states[states.length - 1], Client.State.DISCONNECTED);
+
+});
+
+test("lost connection is rejoined by reconnecting", async function() {
+
+    var { client, tunnel, server, requests } = createClient();
+    client.reconnectPolicy = new Client.ReconnectPolicy({ initialDelay : 1, jitter : 0 });
+
+    var attempts = [];
+    client.onreconnecting = function(attempt, delay, status) { attempts.push(status); };
+
+    var reconnected = new Promise(function(resolve) { client.onreconnected = resolve; });
+
+    var connected = client.connect("a=b");
+    tunnel.flush();
+    await connected;
+
+    client.sendSize(800, 600);
+    tunnel.flush();
+    tunnel.clearSent();
+
+    server.fail(new Status(Status.Code.UPSTREAM_TIMEOUT, "Connection lost."));
+    assert.equal(attempts.length, 1);
+    assert.equal(attempts[0].code, Status.Code.UPSTREAM_TIMEOUT);
+
+    await wait(10);
+    tunnel.flush();
+    await reconnected;
+
+    // The same connection is rejoined, and the size of the display restored
+    assert.deepEqual(requests, ["a=b", "a=b&GUAC_ID=%24connection"]);
+    assert.deepEqual(tunnel.getSent("size"), [["size", "800", "600"]]);
+
+    await client.disconnect();
+
+});
+
+test("abandoned reconnection reports the last failure", async function() {
+
+    var { client, tunnel, server, states } = createClient();
+    client.reconnectPolicy = new Client.ReconnectPolicy({ initialDelay : 1, jitter : 0, maxAttempts : 1 });
+
+    var errors = [];
+    client.onerror = function(status) { errors.push(status); };
+
+    var connected = client.connect();
+    tunnel.flush();
+    await connected;
+
+    // Refuse every further connection attempt
+    server.onconnect = function() {
+        server.fail(new Status(Status.Code.SERVER_BUSY, "Server busy."));
+    };
+
+    server.fail();
+    await wait(10);
+    tunnel.flush();
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, Status.Code.SERVER_BUSY);
+    assert.equal(states[states.length - 1], Client.State.DISCONNECTED);
+
+});
+
+test("recording contains every instruction received", async function() {
+
+    var { client, tunnel, server } = createClient();
+
+    client.startRecording();
+
+    var connected = client.connect();
+    tunnel.flush();
+    await connected;
+
+    server.sendMessage("name", "Recorded; session");
+    tunnel.flush();
+
+    var recording = client.stopRecording();
+    assert.equal(client.isRecording(), false);
+
+    var instructions = [];
+    var parser = new Parser();
+    parser.oninstruction = function(opcode, args) {
+        instructions.push([opcode].concat(args));
+    };
+    parser.receive(await recording.text());
+
+    assert.deepEqual(instructions, [
+        ["ready", "$connection"],
+        ["size", "0", "1024", "768"],
+        ["sync", "1000"],
+        ["name", "Recorded; session"]
+    ]);
+
+    await client.disconnect();
+
+});
@@ -0,0 +1,88 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Client, HeadlessDisplay, LoopbackTunnel, ShapedTunnel, Tunnel } from "../src/index.js";
+
+/**
+ * Returns a Promise which resolves after the given number of milliseconds.
+ *
+ * @param {Number} ms The number of milliseconds to wait.
+ * @returns {Promise} A Promise which resolves once the time has elapsed.
+ */
+function wait(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+/**
+ * Causes the peer of the given LoopbackTunnel to complete the Client
+ * handshake for each connection request received.
+ *
+ * @param {LoopbackTunnel} tunnel The tunnel whose peer should respond.
+ */
+function serve(tunnel) {
+    tunnel.peer.onconnect = function() {
+        tunnel.peer.sendMessage("ready", "$connection");
+        tunnel.peer.sendMessage("sync", 1000);
+    };
+}
+
+test("shaped tunnel delays instructions by its latency", async function() {
+
+    var tunnel = new LoopbackTunnel();
+    var shaped = new ShapedTunnel(tunnel, { latency : 30 });
+    serve(tunnel);
+
+    var client = new Client(shaped, new HeadlessDisplay());
+
+    var state = null;
+    client.onstatechange = function(newState) { state = newState; };
+
+    var connected = client.connect();
+
+    await wait(10);
+    assert.equal(state, Client.State.WAITING);
+
+    await connected;
+    assert.equal(state, Client.State.CONNECTED);
+
+    await client.disconnect();
+
+});
+
+test("shaped tunnel sends disconnect before closing", async function() {
+
+    var tunnel = new LoopbackTunnel();
+    var shaped = new ShapedTunnel(tunnel, { latency : 10 });
+    serve(tunnel);
+
+    var client = new Client(shaped, new HeadlessDisplay());
+    await client.connect();
+    await client.disconnect();
+
+    // The disconnect instruction must not be lost with the queued messages
+    assert.deepEqual(tunnel.getSent("disconnect"), [["disconnect"]]);
+    assert.equal(tunnel.state, Tunnel.State.CLOSED);
+
+});
@@ -0,0 +1,169 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Client, HeadlessDisplay, LoopbackTunnel, Status, Tunnel, TunnelMultiplexer } from "../src/index.js";
+
+/**
+ * Creates a TunnelMultiplexer over a LoopbackTunnel, whose peer accepts
+ * each channel using a Demultiplexer. Each accepted channel completes the
+ * Client handshake immediately, while channels whose connect data is
+ * "refuse" are refused.
+ *
+ * @returns {Object}
+ *     An object having "multiplexer", "tunnel" and "channels" properties,
+ *     where "channels" contains each channel accepted.
+ */
+function createMultiplexer() {
+
+    var tunnel = new LoopbackTunnel();
+    var multiplexer = new TunnelMultiplexer(tunnel, "token=abc");
+    var demultiplexer = new TunnelMultiplexer.Demultiplexer(tunnel.peer);
+
+    var channels = [];
+    demultiplexer.onchannel = function(channel, data) {
+
+        if (data === "refuse") {
+            channel.close(new Status(Status.Code.CLIENT_FORBIDDEN, "Refused."));
+            return;
+        }
+
+        channels.push(channel);
+        channel.accept("$channel-" + channel.id);
+        channel.sendMessage("ready", "$connection-" + channel.id);
+        channel.sendMessage("size", 0, 640, 480);
+        channel.sendMessage("sync", 1000);
+
+    };
+
+    return { multiplexer, tunnel, channels };
+
+}
+
+test("clients share a single underlying tunnel", async function() {
+
+    var { multiplexer, tunnel, channels } = createMultiplexer();
+
+    var connects = [];
+    tunnel.peer.onconnect = function(data) { connects.push(data); };
+
+    var first = new Client(multiplexer.createTunnel(), new HeadlessDisplay());
+    var second = new Client(multiplexer.createTunnel(), new HeadlessDisplay());
+
+    var connected = Promise.all([first.connect("id=1"), second.connect("id=2")]);
+    tunnel.flush();
+    await connected;
+
+    assert.deepEqual(connects, ["token=abc"]);
+    assert.equal(channels.length, 2);
+
+    // Instructions are routed only to the channel of the sending client
+    var received = [];
+    channels[1].oninstruction = function(opcode, args) { received.push([opcode].concat(args)); };
+    second.sendSize(320, 240);
+    tunnel.flush();
+
+    assert.deepEqual(received, [["size", "320", "240"]]);
+
+    first.disconnect();
+    second.disconnect();
+    tunnel.flush();
+
+});
+
+test("refused channel closes with the refusing status", async function() {
+
+    var { multiplexer, tunnel } = createMultiplexer();
+
+    var client = new Client(multiplexer.createTunnel(), new HeadlessDisplay());
+
+    var state = null;
+    client.onstatechange = function(newState) { state = newState; };
+
+    var connected = client.connect("refuse");
+    tunnel.flush();
+
+    await assert.rejects(connected, function(status) {
+        return status.code === Status.Code.CLIENT_FORBIDDEN
+            && status.message === "Refused.";
+    });
+
+    assert.equal(state, Client.State.DISCONNECTED);
+
+    tunnel.flush();
+
+});
+
+test("underlying tunnel disconnects with the last channel", async function() {
+
+    var { multiplexer, tunnel } = createMultiplexer();
+
+    var first = new Client(multiplexer.createTunnel(), new HeadlessDisplay());
+    var second = new Client(multiplexer.createTunnel(), new HeadlessDisplay());
+
+    var connected = Promise.all([first.connect(), second.connect()]);
+    tunnel.flush();
+    await connected;
+
+    first.disconnect();
+    tunnel.flush();
+    assert.equal(tunnel.state, Tunnel.State.OPEN);
+
+    second.disconnect();
+    tunnel.flush();
+    assert.equal(tunnel.state, Tunnel.State.CLOSED);
+
+});
+
+test("underlying failure closes every channel", async function() {
+
+    var { multiplexer, tunnel } = createMultiplexer();
+
+    var errors = [];
+    var states = [];
+    var clients = [];
+    for (var i = 0; i < 2; i++) {
+        var channel = multiplexer.createTunnel();
+        channel.onerror = function(status) { errors.push(status); };
+        clients.push(new Client(channel, new HeadlessDisplay()));
+    }
+
+    var connected = Promise.all(clients.map(function(client) { return client.connect(); }));
+    tunnel.flush();
+    await connected;
+
+    clients.forEach(function(client, index) {
+        client.onstatechange = function(state) { states[index] = state; };
+    });
+
+    tunnel.peer.fail(new Status(Status.Code.UPSTREAM_ERROR, "Connection lost."));
+
+    assert.equal(errors.length, 2);
+    errors.forEach(function(status) {
+        assert.equal(status.code, Status.Code.UPSTREAM_ERROR);
+    });
+
+    assert.deepEqual(states, [Client.State.DISCONNECTED, Client.State.DISCONNECTED]);
+
+});
@@ -0,0 +1,197 @@
+/*
+ * Copyright (C) 2013 Glyptodon LLC
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/*
+ * Type tests for the declarations in src/index.d.ts. This file is never run;
+ * it is only type-checked by "npm run typecheck". Lines marked with
+ * @ts-expect-error must fail to type-check.
+ */
+
+import {
+    ChainedTunnel,
+    Client,
+    Display,
+    HeadlessDisplay,
+    HTTPTunnel,
+    InputStream,
+    Keyboard,
+    Layer,
+    LoopbackTunnel,
+    Mouse,
+    Object as GuacObject,
+    OnScreenKeyboard,
+    ShapedTunnel,
+    StaticHTTPTunnel,
+    Status,
+    StringReader,
+    Tunnel,
+    TunnelMultiplexer,
+    WebSocketTunnel
+} from "../src/index";
+
+// Client with its default Display
+{
+    const tunnel = new WebSocketTunnel("wss://example.org/tunnel", {});
+    const client = new Client(tunnel);
+
+    const display: Display = client.getDisplay();
+    display.setChannelMask(display.getDefaultLayer(), Layer.SRC);
+    display.getElement();
+
+    client.onclipboard = (stream: InputStream, mimetype: string) => {
+        const reader = new StringReader(stream);
+        reader.ontext = (text) => text.length;
+    };
+    client.onerror = (status) => status.code === Status.Code.CLIENT_FORBIDDEN;
+    client.ondisconnect = (status) => status.isError();
+    client.onstatechange = (state) => state === Client.State.CONNECTED;
+    client.onfilesystem = (object: GuacObject, name) =>
+        object.requestInputStream(GuacObject.ROOT_STREAM, (stream, mimetype) =>
+            stream.sendAck("OK", Status.Code.SUCCESS));
+
+    client.reconnectPolicy = new Client.ReconnectPolicy({ maxAttempts: 3, joinParameter: "ID" });
+    client.addInstructionInterceptor("img", (opcode, parameters) => [opcode, ...parameters]);
+    client.sendMouseState(new Mouse.State(0, 0, false, false, false, false, false));
+    client.connect("a=b").then(() => client.disconnect());
+
+    const renderTime: number = client.getStatistics().renderTime;
+    const latency: number | null = client.getStatistics().latency;
+    tunnel.addEventListener("roundtrip", (roundTripTime) => roundTripTime + 1);
+
+    // @ts-expect-error
+    client.onclipboard = (stream: number) => {};
+}
+
+// Client with a HeadlessDisplay
+{
+    const client = new Client(new LoopbackTunnel(), new HeadlessDisplay());
+    const display: HeadlessDisplay = client.getDisplay();
+    const element: null = display.getElement();
+
+    // @ts-expect-error
+    client.getDisplay().setChannelMask(display.getDefaultLayer(), Layer.SRC);
+}
+
+// Events
+{
+    const tunnel = new WebSocketTunnel("wss://example.org/tunnel");
+    tunnel.addEventListener("statechange", (state) => state === Tunnel.State.OPEN);
+    tunnel.onstatechange = (state) => state === Tunnel.State.OPEN;
+
+    const client = new Client(tunnel);
+    const stateChanged = (state: Client.State) => {};
+    client.addEventListener("clipboard", (stream, mimetype) => {
+        stream.addEventListener("blob", (data) => data.length);
+    });
+    client.addEventListener("error", (status: Status) => status.isError());
+    client.addEventListener("statechange", stateChanged);
+    client.removeEventListener("statechange", stateChanged);
+
+    new Keyboard(document).addEventListener("keydown", (keysym) => true);
+    new Mouse(document.body).addEventListener("mouseout", () => {});
+    new Mouse.Touchpad(document.body).addEventListener("mousemove", (state) => state.x);
+
+    // @ts-expect-error
+    client.addEventListener("nosuchevent", () => {});
+
+    // @ts-expect-error
+    new Mouse.Touchscreen(document.body).addEventListener("mouseout", () => {});
+}
+
+// OnScreenKeyboard
+{
+    const keyboard = new OnScreenKeyboard({
+        language : "en_US",
+        type     : "qwerty",
+        width    : 10,
+        keys     : {
+            A     : 65,
+            Shift : [{ title : "Shift", keysym : 0xFFE1, modifier : "shift" }]
+        },
+        layout   : [["A", 1, "Shift"]]
+    });
+    keyboard.layout.keyWidths;
+}
+
+// StaticHTTPTunnel
+{
+    const tunnel = new StaticHTTPTunnel("/recording.guac", false, { respectSync: true, maxPending: 1000 });
+    tunnel.addEventListener("progress", (length, total) => length + (total || 0));
+    tunnel.onprogress = (length) => {};
+    const asTunnel: Tunnel = tunnel;
+    new Client(tunnel);
+
+    // @ts-expect-error
+    new WebSocketTunnel("wss://example.org/tunnel").addEventListener("progress", () => {});
+}
+
+// LoopbackTunnel
+{
+    const tunnel = new LoopbackTunnel();
+    tunnel.peer.addEventListener("connect", (data) => data);
+    tunnel.peer.onconnect = () => tunnel.peer.fail(new Status(Status.Code.CLIENT_FORBIDDEN, "Forbidden."));
+    new Client(tunnel).connect();
+    tunnel.flush();
+    const sent: string[][] = tunnel.getSent("sync");
+}
+
+// ShapedTunnel
+{
+    const tunnel = new ShapedTunnel(new LoopbackTunnel(), { latency: 200, jitter: 50 });
+    tunnel.options.downloadBandwidth = 64000;
+    const bytes: number = tunnel.bytesSent + tunnel.bytesReceived;
+    new ShapedTunnel(new StaticHTTPTunnel("/recording.guac"));
+    new Client(tunnel);
+}
+
+// ChainedTunnel
+{
+    const tunnel = new ChainedTunnel(new WebSocketTunnel("websocket-tunnel"), new HTTPTunnel("tunnel"));
+    tunnel.raceDelay = 250;
+    tunnel.onfailover = (status, connectionID) => "GUAC_ID=" + connectionID;
+    tunnel.addEventListener("failover", (status) => { status.isError(); });
+    new Client(tunnel);
+}
+
+// TunnelMultiplexer
+{
+    const multiplexer = new TunnelMultiplexer(new WebSocketTunnel("/multiplexed"), "token=x");
+    new Client(multiplexer.createTunnel());
+
+    const demultiplexer = new TunnelMultiplexer.Demultiplexer(new LoopbackTunnel().peer);
+    demultiplexer.addEventListener("channel", (channel, data) => {
+        const id: string = channel.id;
+        channel.accept();
+        channel.sendMessage("sync", 1);
+        if (data)
+            channel.close(new Status(Status.Code.CLIENT_FORBIDDEN, "Forbidden."));
+    });
+}
+
+// Remote cursors
+{
+    const client = new Client(new LoopbackTunnel());
+    client.getDisplay().showRemoteCursors(true);
+    client.onmouse = (x, y, buttonMask) => "Other user";
+    client.getDisplay().removeRemoteCursor(Client.REMOTE_MOUSE_ID);
+    const shown: boolean = client.getDisplay().isShowingRemoteCursors();
+}